@@ -0,0 +1,25 @@
+// Gunnison County Property Map - Data Worker
+// Fetches, parses, reprojects, simplifies and joins the map data off the main thread,
+// reusing the loaders in script_fixed_colors.js through a headless instance.
+//
+// In:  { datasetConfig }
+// Out: { type: 'progress', file, stage, loaded, total } while loading, then
+//      { type: 'result', ...loadDataFiles() } or { type: 'error', message }.
+// After a result the worker stays alive until the IndexedDB copy is written.
+
+importScripts('datasets_config.js', 'script_fixed_colors.js');
+
+self.onmessage = async (event) => {
+    const loader = new GunnisonCountyMap({ headless: true });
+    loader.datasetConfig = event.data.datasetConfig;
+    loader.onLoadProgress = (progress) => self.postMessage(Object.assign({ type: 'progress' }, progress));
+
+    try {
+        const data = await loader.loadDataWithCache();
+        self.postMessage(Object.assign({ type: 'result' }, data));
+        await loader.dataCacheWrite;
+        self.close();
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,75 @@
+// Gunnison County Property Map - Dataset Configuration
+// Describes every data source the map loads and how attribute tables join to parcels.
+// Add an assessor table (sales, permits, zoning, ...) by appending to `attributes`;
+// no changes to script_fixed_colors.js are needed.
+//
+// Key normalization rules (applied to both sides of a join, in this order):
+//   trim: true                       strip surrounding whitespace
+//   uppercase: true                  compare case-insensitively
+//   stripNonAlphanumeric: true       drop dashes, spaces and punctuation
+//   padStart: { length, char }       zero-pad numeric keys, e.g. "942" -> "000942"
+//   prefix: 'R'                      add a prefix when the key doesn't already start with it
+
+const DATASET_CONFIG = {
+    // Version of the files in data/ for the offline cache. Leave null to detect
+    // changes from the server's ETag / Last-Modified headers, or set a string
+    // and change it whenever the data files are replaced.
+    version: null,
+
+    // Parcel polygons. Files are tried in order until one loads.
+    parcels: {
+        files: ['./data/Taxparcelassessor_fixed.geojson', './data/Taxparcelassessor.geojson'],
+        keyFields: ['ACCOUNTNO', 'ACCOUNTNUM', 'ACCOUNT', 'ACCTNO', 'ACCT_NUM'],
+        keyNormalization: { trim: true, uppercase: true },
+        // Property fields filled from parcel attributes when an account has no property record
+        fallbackFields: {
+            SumOfACTUALVALUE: 'TOTALACTUA',
+            SITUS: 'PROPERTYLO',
+            SUBNAME: 'SUBDIVISIO',
+            AYB: 'TAXYEAR'
+        }
+    },
+
+    // Address points, joined to parcels by account
+    addresses: {
+        file: './data/Address.geojson',
+        keyField: 'ACCOUNTNO',
+        keyNormalization: { trim: true, uppercase: true }
+    },
+
+    subdivisions: { file: './data/Subdivision.geojson' },
+    towns: { file: './data/Towns.geojson' },
+
+    // Attribute tables merged into one record per account, in precedence order:
+    // when two tables share a field name, the table listed first wins.
+    // The `primary` table defines which accounts have property records; the
+    // others only add fields to those accounts.
+    attributes: [
+        {
+            name: 'property',
+            file: './data/Property_Attributes_cleaned.csv',
+            format: 'csv',
+            primary: true,
+            keyField: 'ACCOUNTNO',
+            keyNormalization: { trim: true, uppercase: true },
+            // Rows are filed by tax year for the Value Change modes; when an
+            // account has several years, the latest one is its current record
+            yearField: 'TAXYEAR',
+            // Earlier yearly extracts with the same columns, e.g.
+            // ['./data/Property_Attributes_2024.csv']
+            history: [],
+            renames: {}
+        }
+        // Example secondary table:
+        // {
+        //     name: 'sales',
+        //     file: './data/Sales.csv',
+        //     format: 'csv',            // 'csv' or 'geojson' (feature properties)
+        //     delimiter: 'auto',
+        //     encoding: 'utf-8',
+        //     keyField: 'ACCT',
+        //     keyNormalization: { trim: true, uppercase: true, prefix: 'R' },
+        //     renames: { SALEPRICE: 'SALE_PRICE', SALEDATE: 'SALE_DATE' }
+        // }
+    ]
+};
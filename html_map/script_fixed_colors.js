@@ -2,62 +2,289 @@
 // Interactive map with better colors and restored View/Quality functionality
 
 class GunnisonCountyMap {
-    constructor() {
+    constructor(options = {}) {
         this.map = null;
         this.parcelsLayer = null;
         this.subdivisionLayer = null;
+        this.townLayer = null;
         this.addressLayer = null;
         this.propertyData = new Map();
+        // Tax year -> account -> record, from every loaded yearly extract
+        this.propertyYears = new Map();
+        this.changeYears = { from: null, to: null };
         this.addressData = new Map();
-        this.colorBy = 'SumOfACTUALVALUE'; // Default to value since most parcels have this
-        this.colorSchemes = {
+        // Join result per parcel feature, so styling, popups and stats don't
+        // repeat the lookup; cleared whenever the property table changes
+        this.joinCache = new WeakMap();
+        this.canvasRenderer = null;
+        // Per-file loading progress, shown under the spinner
+        this.onLoadProgress = null;
+        this.loadProgress = {};
+        // Bump when the shape of loadDataFiles() output changes, so older
+        // IndexedDB copies are ignored even when the data files haven't changed
+        this.dataCacheSchema = 5;
+        // Douglas-Peucker tolerance for the drawn parcel, subdivision and town
+        // outlines; vertices closer than this to the simplified line are dropped
+        this.simplifyToleranceMeters = 1;
+        this.dataCacheWrite = null;
+        // Files whose load threw; any entry keeps the result out of the cache
+        this.loadFailures = [];
+        this.csvErrors = [];
+        this.joinStats = null;
+        this.duplicateParcelLayers = [];
+        this.dataQualityReport = null;
+        this.accountField = null;
+        // Data sources and join rules live in datasets_config.js, the only copy
+        if (typeof DATASET_CONFIG === 'undefined') {
+            throw new Error('DATASET_CONFIG is not defined - load datasets_config.js before script_fixed_colors.js');
+        }
+        this.datasetConfig = DATASET_CONFIG;
+        this.townStats = new Map();
+        this.places = new Map();
+        this.pendingImport = null;
+        this.importedPropertyTable = null;
+        this.userLayers = [];
+        this.parcelLayers = new Map();
+        this.searchIndex = [];
+        this.highlightedLayer = null;
+        this.urlState = {};
+        this.urlStateTimer = null;
+        this.addressToggleButton = null;
+        this.highlightStyle = {
+            color: '#FF6B6B',
+            weight: 4,
+            fillColor: '#FF6B6B',
+            fillOpacity: 0.35,
+            interactive: true
+        };
+        // Multi-parcel selection (shift-click, box, lasso, buffer)
+        this.selectedLayers = new Set();
+        this.selectionStyle = {
+            color: '#0077B6',
+            weight: 3,
+            fillColor: '#00A3E0',
+            fillOpacity: 0.45,
+            interactive: true
+        };
+        this.selectionTool = null;   // 'box' or 'lasso' while drawing
+        this.selectionShape = null;
+        this.suppressPopup = false;
+        this.notificationList = null;
+        // Comparable finder: candidates outside the year range or distance are
+        // skipped; the rest are ranked by a weighted difference score. When too
+        // few share the subject's subdivision, parcels within nearbyMiles count
+        // as the same area at half the subdivision penalty
+        this.compsConfig = {
+            count: 10,
+            yearRange: 10,
+            maxDistanceMiles: 5,
+            nearbyMiles: 0.5,
+            weights: { subdivision: 2, quality: 1.5, view: 1, yearBuilt: 1, distance: 2 }
+        };
+        this.compsSubject = null;
+        this.comparables = [];
+        this.compsLayer = null;
+        this.statsScope = 'extent';   // 'extent' or 'filtered'
+        // Subdivision aggregation mode: each subdivision colored by a statistic
+        // of the parcels whose center falls inside it
+        this.subdivisionStats = {
+            'median_value': { label: 'Median Value', format: 'currency' },
+            'condition_score': { label: 'Mean Condition Score', format: 'score' },
+            'panoramic_share': { label: 'Share with Panoramic Views', format: 'percent' },
+            'parcel_count': { label: 'Parcel Count', format: 'count' }
+        };
+        this.subdivisionStat = null;
+        this.subdivisionAggregates = null;
+        this.subdivisionClasses = null;
+        this.subdivisionPalette = ['#F7F5EE', '#98A37D', '#224428'];
+        // Street-address variants normalized to one spelling before matching,
+        // so "North 14th Street" and "N 14TH ST" index to the same tokens
+        this.addressAbbreviations = {
+            'NORTH': 'N', 'SOUTH': 'S', 'EAST': 'E', 'WEST': 'W',
+            'NORTHEAST': 'NE', 'NORTHWEST': 'NW', 'SOUTHEAST': 'SE', 'SOUTHWEST': 'SW',
+            'STREET': 'ST', 'AVENUE': 'AVE', 'AV': 'AVE', 'ROAD': 'RD', 'DRIVE': 'DR',
+            'LANE': 'LN', 'COURT': 'CT', 'CIRCLE': 'CIR', 'PLACE': 'PL', 'TRAIL': 'TRL',
+            'BOULEVARD': 'BLVD', 'HIGHWAY': 'HWY', 'PARKWAY': 'PKWY', 'TERRACE': 'TER',
+            'MOUNTAIN': 'MTN', 'MOUNT': 'MT', 'APARTMENT': 'UNIT', 'APT': 'UNIT', '#': 'UNIT',
+            'FIRST': '1ST', 'SECOND': '2ND', 'THIRD': '3RD', 'FOURTH': '4TH', 'FIFTH': '5TH',
+            'SIXTH': '6TH', 'SEVENTH': '7TH', 'EIGHTH': '8TH', 'NINTH': '9TH', 'TENTH': '10TH',
+            'ELEVENTH': '11TH', 'TWELFTH': '12TH', 'THIRTEENTH': '13TH', 'FOURTEENTH': '14TH',
+            'FIFTEENTH': '15TH', 'SIXTEENTH': '16TH', 'SEVENTEENTH': '17TH', 'EIGHTEENTH': '18TH',
+            'NINETEENTH': '19TH', 'TWENTIETH': '20TH'
+        };
+        this.defaultColorBy = 'SumOfACTUALVALUE'; // Default to value since most parcels have this
+        this.colorBy = this.defaultColorBy;
+        // Categorical schemes are built from the values actually present in the
+        // property CSV (see buildColorSchemes). The order lists rank known values
+        // from lowest to highest; values not listed are appended alphabetically.
+        this.categoricalConfig = {
             'ATTRIBUTESUBTYPE': {
-                'LIMITED OR BELOW AVERAGE': '#d0e3f0',  // Light blue
-                'TYPICAL OR AVERAGE': '#8fb6d0',        // Medium blue
-                'SCENIC OR ABOVE AVERAGE': '#5a7ebf',   // Dark blue
-                'EXCELLENT OR SUPERIOR': '#2d3a8c'      // Deep purple-blue
+                order: [
+                    'OBSTRUCTED OR NONE',
+                    'LIMITED OR BELOW AVERAGE',
+                    'LIMITED VIEW LOT',
+                    'TYPICAL OR AVERAGE',
+                    'VIEW LOT',
+                    'SCENIC OR ABOVE AVERAGE',
+                    'PANORAMIC VIEW LOT',
+                    'PANORAMIC OR OUTSTANDING',
+                    'EXCELLENT OR SUPERIOR'
+                ],
+                palette: ['#d0e3f0', '#8fb6d0', '#5a7ebf', '#2d3a8c']
             },
             'EXT CONDITION': {
-                'Poor': '#d0e3f0',       // Light blue
-                'Fair': '#8fb6d0',       // Medium blue
-                'Average': '#5a7ebf',    // Dark blue
-                'Good': '#2d3a8c',       // Deep purple-blue
-                'Very Good': '#1e2a5e',  // Darker purple-blue
-                'Excellent': '#0f1a3f'  // Darkest purple-blue
+                order: ['Salvage', 'Minimum', 'Poor', 'Below Average', 'Fair', 'Average', 'Good', 'Very Good', 'Excellent'],
+                palette: ['#d0e3f0', '#8fb6d0', '#5a7ebf', '#2d3a8c', '#1e2a5e', '#0f1a3f'],
+                normalize: 'titlecase'
             },
-            'SumOfACTUALVALUE': {
-                'Low': '#d0e3f0',        // Light blue
-                'Medium': '#8fb6d0',     // Medium blue
-                'High': '#5a7ebf',       // Dark blue
-                'Very High': '#2d3a8c'   // Deep purple-blue
+            // Interior condition is entered by hand and mixes case ("Average" and
+            // "average") and spellings, so values are normalized before matching
+            'INT CONDITION': {
+                order: ['Salvage', 'Minimum', 'Poor', 'Below Average', 'Fair', 'Average', 'Good', 'Very Good', 'Excellent'],
+                palette: ['#d0e3f0', '#8fb6d0', '#5a7ebf', '#2d3a8c', '#1e2a5e', '#0f1a3f'],
+                normalize: 'titlecase',
+                aliases: { 'Minimal': 'Minimum', 'Verg Good': 'Very Good' }
             },
-            'TOTALACTUA': { // Parcel data values
-                'Low': '#d0e3f0',        // Light blue
-                'Medium': '#8fb6d0',     // Medium blue
-                'High': '#5a7ebf',       // Dark blue
-                'Very High': '#2d3a8c'   // Deep purple-blue
+            'ATTRIBUTETYPE': {
+                order: ['VIEWS', 'ARROWHEAD'],
+                palette: ['#5a7ebf', '#B89A5D']
             }
         };
+        this.uncategorizedColor = '#BDBDBD';
+        this.categoryValues = {};
+        this.legendCounts = {};
+        // Lambert Conformal Conic (2SP) definitions for the Colorado State Plane
+        // zones used by county exports, on the GRS80 ellipsoid (NAD83).
+        // Angles are in degrees; false easting/northing are in the zone's units.
+        const US_SURVEY_FOOT = 1200 / 3937;
+        this.projections = {
+            2231: { name: 'NAD83 / Colorado North (ftUS)', lat1: 40 + 47 / 60, lat2: 39 + 43 / 60, lat0: 39 + 20 / 60, lon0: -105.5, falseEasting: 3000000, falseNorthing: 1000000, unit: US_SURVEY_FOOT },
+            2232: { name: 'NAD83 / Colorado Central (ftUS)', lat1: 39 + 45 / 60, lat2: 38 + 27 / 60, lat0: 37 + 50 / 60, lon0: -105.5, falseEasting: 3000000, falseNorthing: 1000000, unit: US_SURVEY_FOOT },
+            2233: { name: 'NAD83 / Colorado South (ftUS)', lat1: 38 + 26 / 60, lat2: 37 + 14 / 60, lat0: 36 + 40 / 60, lon0: -105.5, falseEasting: 3000000, falseNorthing: 1000000, unit: US_SURVEY_FOOT },
+            26953: { name: 'NAD83 / Colorado North', lat1: 40 + 47 / 60, lat2: 39 + 43 / 60, lat0: 39 + 20 / 60, lon0: -105.5, falseEasting: 914401.8289, falseNorthing: 304800.6096, unit: 1 },
+            26954: { name: 'NAD83 / Colorado Central', lat1: 39 + 45 / 60, lat2: 38 + 27 / 60, lat0: 37 + 50 / 60, lon0: -105.5, falseEasting: 914401.8289, falseNorthing: 304800.6096, unit: 1 },
+            26955: { name: 'NAD83 / Colorado South', lat1: 38 + 26 / 60, lat2: 37 + 14 / 60, lat0: 36 + 40 / 60, lon0: -105.5, falseEasting: 914401.8289, falseNorthing: 304800.6096, unit: 1 }
+        };
+        // Numeric attributes are classed by the engine in computeClasses; the
+        // palette is stretched to however many classes are selected. Derived
+        // attributes (ratio, per-acre) are computed in getNumericValue.
+        this.valuePalette = ['#d0e3f0', '#8fb6d0', '#5a7ebf', '#2d3a8c'];
+        // Decrease - no change - increase
+        this.changePalette = ['#8E3B2E', '#F7F5EE', '#224428'];
+        this.numericConfig = {
+            'SumOfACTUALVALUE': { label: 'Total Value', format: 'currency' },
+            'SumOfRAWASSESSEDVALUE': { label: 'Assessed Value', format: 'currency' },
+            'ASSESSED_RATIO': { label: 'Assessed / Actual', format: 'percent' },
+            'VALUE_PER_ACRE': { label: 'Value per Acre', format: 'currency' },
+            // Year built uses fixed construction eras instead of the classification method
+            'AYB': {
+                label: 'Year Built',
+                format: 'year',
+                eras: [1900, 1950, 1980, 2000, 2010],
+                palette: ['#E8EBDD', '#98A37D', '#224428']
+            },
+            // Change in total value between the two years picked under Compare
+            // Tax Years; classed symmetrically around zero on changePalette
+            'VALUE_CHANGE': { label: 'Value Change', format: 'currency', diverging: true },
+            'VALUE_CHANGE_PCT': { label: 'Value Change %', format: 'percent', diverging: true }
+        };
+        this.areaCache = new WeakMap();
+        
+        // Attribute filters: every condition must match; non-matching parcels are dimmed
+        this.filters = [];
+        this.panelFilters = [];
+        this.filterFields = new Map();
+        this.filterMatchCount = 0;
+        this.dimmedStyle = {
+            color: '#999999',
+            weight: 0.5,
+            fillColor: '#999999',
+            fillOpacity: 0.05,
+            interactive: true
+        };
+        // Year-built slider: null draws every parcel, otherwise only parcels
+        // with improvements built in or before this year
+        this.builtYear = null;
+        this.builtYearTimer = null;
+        this.builtYearStepMs = 150;
+        // Parcels drawn invisible (no data, or hidden by the slider) must not
+        // take clicks or hovers; every parcel style sets `interactive` so
+        // setStyle always flips it back
+        this.hiddenStyle = {
+            color: 'transparent',
+            weight: 0,
+            fillColor: 'transparent',
+            fillOpacity: 0,
+            interactive: false
+        };
+        // Restyles beyond the map view run in batches between frames
+        this.restyleTimer = null;
+        this.restyleBatchSize = 2000;
+        this.fieldLabels = {
+            'ACCOUNTNO': 'Account',
+            'SUBNAME': 'Subdivision',
+            'SITUS': 'Situs Address',
+            'ATTRIBUTESUBTYPE': 'View Description',
+            'ATTRIBUTETYPE': 'Attribute Type',
+            'EXT CONDITION': 'Quality',
+            'INT CONDITION': 'Interior Condition',
+            'TAXYEAR': 'Tax Year',
+            'OWNERNAME': 'Owner',
+            'PROPERTYLO': 'Property Location',
+            'ParcelNumb': 'Parcel #'
+        };
+        this.classification = {
+            method: 'quantile',   // 'equal', 'quantile', 'jenks' or 'continuous'
+            classCount: 5
+        };
+        this.valueClasses = null;
+        this.parcelFeatures = [];
+        this.tableState = {
+            open: false,
+            columns: ['ACCOUNTNO', 'SITUS', 'SUBNAME', 'ATTRIBUTESUBTYPE', 'EXT CONDITION', 'SumOfACTUALVALUE', 'AYB'],
+            sortField: null,
+            sortDirection: 1,   // 1 ascending, -1 descending
+            page: 0,
+            pageSize: 1000,
+            rowHeight: 26
+        };
+        this.tableRows = [];
+        this.colorSchemes = {};
         
         console.log('GunnisonCountyMap Fixed Colors constructor called');
-        this.init();
+        // Headless instances (data_worker.js) only load and join data; they
+        // never touch the DOM or Leaflet
+        if (!options.headless) this.init();
     }
 
     init() {
         console.log('Starting fixed colors map initialization...');
         
         try {
-            // Initialize map with county-wide view
+            // View and color settings from a shared link, if any
+            this.urlState = this.readUrlState();
+            this.applyUrlDisplayState(this.urlState);
+            
+            // Initialize map with county-wide view (or the linked view)
             console.log('Creating Leaflet map...');
-            this.map = L.map('map').setView([38.7, -106.9], 10);
+            const view = this.urlState.view;
+            this.map = L.map('map').setView(view ? [view.lat, view.lng] : [38.7, -106.9], view ? view.zoom : 10);
+            
+            // Parcels and address points draw on one canvas instead of ~15,000 SVG
+            // elements; only features inside the (padded) view are drawn
+            this.canvasRenderer = L.canvas({ padding: 0.5, tolerance: 3 });
             
             // Add OpenStreetMap tiles
             console.log('Adding OpenStreetMap tiles...');
+            // CORS tiles so the service worker can cache them for offline use
             L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
                 attribution: '© OpenStreetMap contributors',
-                maxZoom: 19
+                maxZoom: 19,
+                crossOrigin: true
             }).addTo(this.map);
             
+            this.registerServiceWorker();
+            
             // Load all data
             this.loadData();
             
@@ -71,28 +298,40 @@ class GunnisonCountyMap {
         console.log('Loading all data files...');
         
         try {
-            // Load all data files in parallel
-            const [propertyData, parcelsData, subdivisionData, addressData] = await Promise.all([
-                this.loadPropertyData(),
-                this.loadParcelsData(),
-                this.loadSubdivisionData(),
-                this.loadAddressData()
-            ]);
+            // Fetching, parsing, reprojection and the join run in a worker so the
+            // page stays responsive; browsers that refuse the worker (e.g. pages
+            // opened from file://) load on the main thread instead
+            let data;
+            try {
+                data = await this.loadDataInWorker();
+            } catch (error) {
+                console.warn('⚠️ Data worker unavailable, loading on the main thread:', error.message);
+                this.onLoadProgress = (progress) => this.renderLoadProgress(progress);
+                data = await this.loadDataWithCache();
+            }
+            this.applyLoadedData(data);
+            const { parcelsData, subdivisionData, addressData, townData } = data;
             
             console.log('All data loaded successfully');
             console.log(`Property data: ${this.propertyData.size} records`);
             console.log(`Address data: ${this.addressData.size} records`);
             console.log(`Parcels: ${parcelsData.features.length} features`);
             console.log(`Subdivisions: ${subdivisionData.features.length} features`);
+            console.log(`Towns: ${townData.features.length} features`);
             
             // Add layers to map
             this.addSubdivisionLayer(subdivisionData);
+            this.addTownLayer(townData);
             this.addParcelsLayer(parcelsData);
             this.addAddressLayer(addressData);
             
             // Setup event listeners
             this.setupEventListeners();
             
+            // Summarize join and parsing problems for the data quality panel
+            this.buildDataQualityReport();
+            this.setupDataQualityPanel();
+            
             // Hide loading indicator
             document.getElementById('loading').classList.add('hidden');
             
@@ -104,12 +343,269 @@ class GunnisonCountyMap {
         }
     }
 
+    loadDataInWorker() {
+        return new Promise((resolve, reject) => {
+            if (typeof Worker === 'undefined') {
+                reject(new Error('Web Workers are not supported'));
+                return;
+            }
+            
+            // Throws (and so rejects) where workers can't be created from this origin
+            const worker = new Worker('data_worker.js');
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    this.renderLoadProgress(message);
+                    return;
+                }
+                // After a result the worker closes itself once the data is cached
+                if (message.type === 'result') {
+                    resolve(message);
+                } else {
+                    worker.terminate();
+                    reject(new Error(message.message));
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                worker.terminate();
+                reject(new Error(event.message || 'Data worker failed to start'));
+            };
+            worker.postMessage({ datasetConfig: this.datasetConfig });
+        });
+    }
+
+    registerServiceWorker() {
+        // Caches the app files and viewed tiles (service_worker.js); needs http(s)
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        navigator.serviceWorker.register('service_worker.js').catch(error => {
+            console.warn('⚠️ Service worker registration failed:', error.message);
+        });
+    }
+
+    async loadDataWithCache() {
+        // Parsed data is kept in IndexedDB under the dataset version: unchanged
+        // data skips the download and parse, and offline the last copy is used
+        const version = await this.getDatasetVersion();
+        const cached = await this.readDataCache();
+        
+        if (cached && (version === null || cached.version === version)) {
+            console.log(version === null ? 'Data files unreachable - using cached data' : 'Data unchanged - using cached data');
+            this.reportLoadProgress('map data', version === null ? 'offline' : 'cached');
+            return cached.data;
+        }
+        
+        const data = await this.loadDataFiles();
+        // A partial load would otherwise be served from the cache until the files change
+        if (data.loadFailures.length > 0) {
+            console.warn(`⚠️ Not caching data, failed to load: ${data.loadFailures.join(', ')}`);
+        } else if (version !== null) {
+            this.dataCacheWrite = this.writeDataCache(version, data);
+        }
+        return data;
+    }
+
+    async getDatasetVersion() {
+        // DATASET_CONFIG.version when set, otherwise each file's ETag /
+        // Last-Modified. The config is part of the version because its join
+        // rules shape the parsed data. Null when the server can't be reached.
+        const config = this.datasetConfig;
+        const settings = JSON.stringify(config);
+        if (config.version) return `${config.version}|${settings}`;
+        
+        try {
+            // Earlier tax-year extracts count too, or replacing one would go unnoticed
+            const files = config.attributes.map(source => source.file)
+                .concat(...config.attributes.map(source => source.history || []))
+                .concat([config.subdivisions.file, config.addresses.file, config.towns.file]);
+            const validators = await Promise.all(files.map(file => this.getFileValidator(file)));
+            
+            // Only the first parcel file that exists is loaded
+            for (const file of config.parcels.files) {
+                const validator = await this.getFileValidator(file);
+                if (!validator.endsWith(':missing')) {
+                    validators.push(validator);
+                    break;
+                }
+            }
+            return [settings].concat(validators).join('|');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async getFileValidator(file) {
+        const response = await fetch(file, { method: 'HEAD', cache: 'no-cache' });
+        if (!response.ok) return `${file}:missing`;
+        
+        // A server that sends no validators never matches, so data is reloaded
+        const headers = response.headers;
+        const validator = headers.get('ETag') || headers.get('Last-Modified') || `unversioned-${Date.now()}`;
+        return `${file}:${validator}`;
+    }
+
+    openDataCache() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open('gunnison-county-map', 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('datasets');
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async readDataCache() {
+        try {
+            const db = await this.openDataCache();
+            const record = await new Promise((resolve, reject) => {
+                const request = db.transaction('datasets').objectStore('datasets').get('current');
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            db.close();
+            const complete = record && Array.isArray(record.data.loadFailures) && record.data.loadFailures.length === 0;
+            return complete && record.schema === this.dataCacheSchema ? record : null;
+        } catch (error) {
+            console.warn('⚠️ Could not read cached data:', error.message);
+            return null;
+        }
+    }
+
+    async writeDataCache(version, data) {
+        // One record, so Maps and the joins' shared property records survive the round trip
+        try {
+            const db = await this.openDataCache();
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction('datasets', 'readwrite');
+                transaction.objectStore('datasets').put({ schema: this.dataCacheSchema, version, savedAt: Date.now(), data }, 'current');
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+            db.close();
+            console.log('Data cached for offline use');
+        } catch (error) {
+            console.warn('⚠️ Could not cache data for offline use:', error.message);
+        }
+    }
+
+    async loadDataFiles() {
+        // Runs in data_worker.js, or on the main thread as a fallback
+        this.loadFailures = [];
+        const [propertyData, parcelsData, subdivisionData, addressData, townData] = await Promise.all([
+            this.loadPropertyData(),
+            this.loadParcelsData(),
+            this.loadSubdivisionData(),
+            this.loadAddressData(),
+            this.loadTownData()
+        ]);
+        
+        // Join every parcel up front; the result travels with propertyData in
+        // one message, so each join still points at the same property record
+        this.reportLoadProgress('parcels', 'join');
+        const features = parcelsData.features;
+        const accountField = features.length > 0 ? this.findParcelKeyField(features[0].properties) : null;
+        const joins = features.map(feature => this.joinParcelData(feature, accountField));
+        this.reportLoadProgress('parcels', 'done');
+        
+        return {
+            propertyData,
+            propertyYears: this.propertyYears,
+            addressData: this.addressData,
+            csvErrors: this.csvErrors,
+            loadFailures: this.loadFailures,
+            parcelsData,
+            subdivisionData,
+            addressGeoJSON: addressData,
+            townData,
+            joins
+        };
+    }
+
+    applyLoadedData(data) {
+        this.propertyData = data.propertyData;
+        this.propertyYears = data.propertyYears;
+        this.addressData = data.addressData;
+        this.csvErrors = data.csvErrors;
+        this.loadFailures = data.loadFailures;
+        this.buildColorSchemes();
+        this.resetChangeYears();
+        this.checkChangeColorBy();
+        
+        this.clearJoinCache();
+        data.parcelsData.features.forEach((feature, index) => {
+            this.joinCache.set(feature, data.joins[index]);
+        });
+    }
+
+    reportLoadProgress(file, stage, loaded = 0, total = 0) {
+        // stage: download | parse | reproject | simplify | join | done | cached | offline
+        if (this.onLoadProgress) this.onLoadProgress({ file, stage, loaded, total });
+    }
+
+    renderLoadProgress(progress) {
+        const container = document.getElementById('loading-progress');
+        if (!container) return;
+        
+        this.loadProgress[progress.file] = progress;
+        const megabytes = (bytes) => (bytes / 1048576).toFixed(1) + ' MB';
+        
+        container.innerHTML = Object.values(this.loadProgress).map(item => {
+            let fraction = 0;
+            let status;
+            if (item.stage === 'download') {
+                // Content-Length may be missing or be the compressed size
+                fraction = item.total > 0 ? Math.min(item.loaded / item.total, 0.99) : 0;
+                status = item.total > 0 ? `${Math.round(fraction * 100)}%` : megabytes(item.loaded);
+            } else if (item.stage === 'done') {
+                fraction = 1;
+                status = 'Done';
+            } else {
+                fraction = 1;
+                status = {
+                    parse: 'Parsing…',
+                    reproject: 'Reprojecting…',
+                    simplify: 'Simplifying…',
+                    join: 'Joining…',
+                    cached: 'Unchanged, loaded from cache',
+                    offline: 'Offline, loaded from cache'
+                }[item.stage] || item.stage;
+            }
+            return `
+                <div class="loading-file">
+                    <span class="loading-file-name">${item.file}</span>
+                    <span class="loading-file-status">${status}</span>
+                    <div class="loading-bar"><span style="width: ${Math.round(fraction * 100)}%"></span></div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async readJSONResponse(response, label) {
+        let text = '';
+        await this.streamResponseText(response, chunk => { text += chunk; }, null, label);
+        this.reportLoadProgress(label, 'parse');
+        return JSON.parse(text);
+    }
+
     async loadPropertyData() {
         try {
             console.log('Loading property data...');
-            const response = await fetch('./data/Property_Attributes_cleaned.csv');
-            const csvText = await response.text();
-            this.parsePropertyData(csvText);
+            const primary = this.getPrimaryAttributeSource();
+            const response = await fetch(primary.file);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} loading ${primary.file}`);
+            }
+            this.propertyYears = new Map();
+            await this.streamPropertyData(response, primary);
+            await this.loadPropertyHistory(primary);
+            
+            // Enrich the primary records with any secondary assessor tables
+            await this.loadSecondaryAttributeSources();
+            this.reportLoadProgress(primary.name, 'done');
             console.log(`Property data loaded: ${this.propertyData.size} records`);
             
             // Debug: Show sample property data
@@ -123,6 +619,7 @@ class GunnisonCountyMap {
             return this.propertyData;
         } catch (error) {
             console.error('Failed to load property data:', error);
+            this.loadFailures.push(this.getPrimaryAttributeSource().name);
             return new Map();
         }
     }
@@ -130,17 +627,24 @@ class GunnisonCountyMap {
     async loadParcelsData() {
         try {
             console.log('Loading parcels data...');
-            // Try the fixed version first, fallback to original
-            let response = await fetch('./data/Taxparcelassessor_fixed.geojson');
-            if (!response.ok) {
-                console.log('Fixed GeoJSON not found, using original...');
-                response = await fetch('./data/Taxparcelassessor.geojson');
+            // Try each configured file in order (fixed version first, then original)
+            const files = this.datasetConfig.parcels.files;
+            let response = null;
+            for (const file of files) {
+                response = await fetch(file);
+                if (response.ok) break;
+                console.log(`${file} not found, trying next parcel file...`);
+            }
+            if (!response || !response.ok) {
+                throw new Error(`None of the parcel files could be loaded: ${files.join(', ')}`);
             }
-            const parcelsData = await response.json();
+            const parcelsData = this.simplifyGeoJSON(this.reprojectGeoJSON(await this.readJSONResponse(response, 'parcels'), 'parcels'), 'parcels');
+            this.reportLoadProgress('parcels', 'done');
             console.log(`Parcels data loaded: ${parcelsData.features.length} features`);
             return parcelsData;
         } catch (error) {
             console.error('Failed to load parcels data:', error);
+            this.loadFailures.push('parcels');
             return { features: [] };
         }
     }
@@ -148,12 +652,17 @@ class GunnisonCountyMap {
     async loadSubdivisionData() {
         try {
             console.log('Loading subdivision data...');
-            const response = await fetch('./data/Subdivision.geojson');
-            const subdivisionData = await response.json();
+            const response = await fetch(this.datasetConfig.subdivisions.file);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} loading ${this.datasetConfig.subdivisions.file}`);
+            }
+            const subdivisionData = this.simplifyGeoJSON(this.reprojectGeoJSON(await this.readJSONResponse(response, 'subdivisions'), 'subdivisions'), 'subdivisions');
+            this.reportLoadProgress('subdivisions', 'done');
             console.log(`Subdivision data loaded: ${subdivisionData.features.length} features`);
             return subdivisionData;
         } catch (error) {
             console.error('Failed to load subdivision data:', error);
+            this.loadFailures.push('subdivisions');
             return { features: [] };
         }
     }
@@ -161,499 +670,4515 @@ class GunnisonCountyMap {
     async loadAddressData() {
         try {
             console.log('Loading address data...');
-            const response = await fetch('./data/Address.geojson');
-            const addressData = await response.json();
+            const response = await fetch(this.datasetConfig.addresses.file);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} loading ${this.datasetConfig.addresses.file}`);
+            }
+            const addressData = this.reprojectGeoJSON(await this.readJSONResponse(response, 'addresses'), 'addresses');
             this.parseAddressData(addressData);
+            this.reportLoadProgress('addresses', 'done');
             console.log(`Address data loaded: ${this.addressData.size} records`);
             return addressData;
         } catch (error) {
             console.error('Failed to load address data:', error);
+            this.loadFailures.push('addresses');
             return { features: [] };
         }
     }
 
-    parseCSVLine(line) {
-        // Proper CSV parsing that handles quoted fields with commas
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        
-        // Add the last field
-        result.push(current.trim());
+    getGeoJSONEpsgCode(geojson) {
+        // GeoJSON without a crs member is WGS84 by definition (RFC 7946)
+        const crsName = geojson.crs && geojson.crs.properties && geojson.crs.properties.name;
+        if (!crsName) return null;
         
-        return result;
+        // Handles "urn:ogc:def:crs:EPSG::2232" as well as "EPSG:2232"
+        const match = String(crsName).match(/EPSG:{1,2}(\d+)/i);
+        return match ? parseInt(match[1], 10) : null;
     }
 
-    parsePropertyData(csvText) {
-        console.log('Parsing property CSV data with proper CSV parsing...');
-        const lines = csvText.split('\n').filter(line => line.trim());
+    reprojectGeoJSON(geojson, label = 'GeoJSON') {
+        const epsg = this.getGeoJSONEpsgCode(geojson);
         
-        if (lines.length === 0) {
-            console.error('No data lines found in CSV');
-            return;
+        if (epsg === null || epsg === 4326 || epsg === 4269) {
+            // Already geographic (WGS84 / NAD83) - nothing to do
+            return geojson;
+        }
+        
+        const projection = this.projections[epsg];
+        if (!projection) {
+            console.warn(`⚠️ ${label}: unsupported CRS EPSG:${epsg}, coordinates left unchanged`);
+            return geojson;
         }
         
-        // Parse header
-        const headers = this.parseCSVLine(lines[0]);
-        console.log('CSV Headers:', headers);
-        console.log('Number of headers:', headers.length);
+        console.log(`Reprojecting ${label} from EPSG:${epsg} (${projection.name}) to WGS84...`);
+        this.reportLoadProgress(label, 'reproject');
+        const inverse = this.createLambertInverse(projection);
         
-        // Parse data lines
-        for (let i = 1; i < lines.length; i++) {
-            const values = this.parseCSVLine(lines[i]);
-            
-            if (values.length !== headers.length) {
-                console.warn(`Line ${i+1}: Expected ${headers.length} columns, got ${values.length}`);
-                console.warn(`Line content: ${lines[i]}`);
-                continue;
+        const convert = (coords) => {
+            if (typeof coords[0] === 'number') {
+                const [lng, lat] = inverse(coords[0], coords[1]);
+                return coords.length > 2 ? [lng, lat].concat(coords.slice(2)) : [lng, lat];
             }
-            
-            const record = {};
-            headers.forEach((header, index) => {
-                record[header] = values[index] || '';
-            });
-            
-            // Store by ACCOUNTNO for direct lookup
-            if (record.ACCOUNTNO) {
-                this.propertyData.set(record.ACCOUNTNO, record);
+            return coords.map(convert);
+        };
+        
+        const convertGeometry = (geometry) => {
+            if (!geometry) return;
+            if (geometry.type === 'GeometryCollection') {
+                geometry.geometries.forEach(convertGeometry);
+            } else if (geometry.coordinates) {
+                geometry.coordinates = convert(geometry.coordinates);
             }
-        }
+        };
+        
+        (geojson.features || []).forEach(feature => convertGeometry(feature.geometry));
+        if (geojson.type === 'Feature') convertGeometry(geojson.geometry);
         
-        console.log(`Parsed ${this.propertyData.size} property records`);
+        // Coordinates are now plain lng/lat
+        delete geojson.crs;
+        return geojson;
     }
 
-    parseAddressData(addressData) {
-        console.log('Parsing address data...');
+    simplifyGeoJSON(geojson, label = 'GeoJSON') {
+        // Douglas-Peucker on every line and ring of lng/lat GeoJSON, so Leaflet
+        // draws fewer vertices. feature.geometry becomes the simplified copy and
+        // the original moves to feature.sourceGeometry, which exports, areas and
+        // buffers read (see getSourceGeometry). Longitudes are scaled by
+        // cos(latitude) to keep the tolerance roughly in meters.
+        const tolerance = this.simplifyToleranceMeters / 111320;
+        if (!(tolerance > 0)) return geojson;
         
-        addressData.features.forEach(feature => {
-            const props = feature.properties;
-            if (props.ACCOUNTNO) {
-                this.addressData.set(props.ACCOUNTNO, props);
+        this.reportLoadProgress(label, 'simplify');
+        let before = 0;
+        let after = 0;
+        
+        const simplifyLine = (points, minPoints) => {
+            before += points.length;
+            if (points.length <= minPoints) {
+                after += points.length;
+                return points;
             }
-        });
+            const scale = Math.cos(points[0][1] * Math.PI / 180);
+            const keep = new Uint8Array(points.length);
+            keep[0] = 1;
+            keep[points.length - 1] = 1;
+            
+            // Explicit stack instead of recursion; long county boundaries are deep
+            const stack = [[0, points.length - 1]];
+            while (stack.length > 0) {
+                const [first, last] = stack.pop();
+                const ax = points[first][0] * scale;
+                const ay = points[first][1];
+                const dx = points[last][0] * scale - ax;
+                const dy = points[last][1] - ay;
+                const lengthSquared = dx * dx + dy * dy;
+                let farthest = -1;
+                let farthestDistance = tolerance;
+                for (let index = first + 1; index < last; index++) {
+                    const px = points[index][0] * scale - ax;
+                    const py = points[index][1] - ay;
+                    // A closed ring starts and ends on the same point, so measure from it
+                    const distance = lengthSquared === 0
+                        ? Math.sqrt(px * px + py * py)
+                        : Math.abs(px * dy - py * dx) / Math.sqrt(lengthSquared);
+                    if (distance > farthestDistance) {
+                        farthest = index;
+                        farthestDistance = distance;
+                    }
+                }
+                if (farthest !== -1) {
+                    keep[farthest] = 1;
+                    stack.push([first, farthest], [farthest, last]);
+                }
+            }
+            
+            const simplified = points.filter((point, index) => keep[index]);
+            // Rings need four points to stay polygons; keep slivers as they were
+            const result = simplified.length >= minPoints ? simplified : points;
+            after += result.length;
+            return result;
+        };
         
-        console.log(`Parsed ${this.addressData.size} address records`);
+        // Returns a new geometry; the original is left untouched
+        const simplifyGeometry = (geometry) => {
+            if (geometry.type === 'GeometryCollection') {
+                return { type: geometry.type, geometries: geometry.geometries.map(simplifyGeometry) };
+            }
+            let coordinates = geometry.coordinates;
+            if (geometry.type === 'LineString') {
+                coordinates = simplifyLine(coordinates, 2);
+            } else if (geometry.type === 'MultiLineString' || geometry.type === 'Polygon') {
+                const minPoints = geometry.type === 'Polygon' ? 4 : 2;
+                coordinates = coordinates.map(line => simplifyLine(line, minPoints));
+            } else if (geometry.type === 'MultiPolygon') {
+                coordinates = coordinates.map(polygon => polygon.map(ring => simplifyLine(ring, 4)));
+            }
+            return { type: geometry.type, coordinates };
+        };
+        
+        const simplifyFeature = (feature) => {
+            if (!feature.geometry || feature.geometry.type === 'Point' || feature.geometry.type === 'MultiPoint') return;
+            const removed = before - after;
+            const display = simplifyGeometry(feature.geometry);
+            // Only features that lost vertices carry a second copy
+            if (before - after === removed) return;
+            feature.sourceGeometry = feature.geometry;
+            feature.geometry = display;
+        };
+        
+        (geojson.features || []).forEach(simplifyFeature);
+        if (geojson.type === 'Feature') simplifyFeature(geojson);
+        
+        if (before > 0) console.log(`Simplified ${label}: ${before} → ${after} vertices`);
+        return geojson;
     }
 
-    getParcelData(feature, accountField) {
-        // Hybrid approach: try property data first, fallback to parcel data
-        const parcelAccount = feature.properties[accountField];
-        const propertyInfo = this.propertyData.get(parcelAccount);
-        
-        if (propertyInfo) {
-            // Has property data - use it
-            return {
-                source: 'property',
-                data: propertyInfo,
-                account: parcelAccount
-            };
-        } else {
-            // No property data - use parcel data
-            const parcelData = feature.properties;
-            return {
-                source: 'parcel',
-                data: {
-                    ACCOUNTNO: parcelAccount,
-                    SumOfACTUALVALUE: parcelData.TOTALACTUA || 0,
-                    'EXT CONDITION': 'Unknown', // Parcel data doesn't have quality
-                    ATTRIBUTESUBTYPE: 'Unknown', // Parcel data doesn't have view
-                    SITUS: parcelData.PROPERTYLO || 'N/A',
-                    SUBNAME: parcelData.SUBDIVISIO || 'N/A',
-                    AYB: parcelData.TAXYEAR || 'N/A'
-                },
-                account: parcelAccount
-            };
-        }
+    getSourceGeometry(feature) {
+        // Full-detail geometry for analysis and export; feature.geometry may be
+        // the simplified copy drawn on the map (see simplifyGeoJSON)
+        return feature.sourceGeometry || feature.geometry;
     }
 
-    addSubdivisionLayer(subdivisionData) {
-        console.log('Adding subdivision layer...');
+    createLambertInverse(projection) {
+        // Lambert Conformal Conic (2SP) inverse, EPSG Guidance Note 7-2 §3.1.1.1
+        const a = 6378137;                 // GRS80 semi-major axis (m)
+        const f = 1 / 298.257222101;       // GRS80 flattening
+        const e = Math.sqrt(2 * f - f * f);
+        const toRad = Math.PI / 180;
         
-        if (subdivisionData.features.length === 0) {
-            console.log('No subdivision data to display');
-            return;
-        }
+        const phi1 = projection.lat1 * toRad;
+        const phi2 = projection.lat2 * toRad;
+        const phi0 = projection.lat0 * toRad;
+        const lambda0 = projection.lon0 * toRad;
         
-        this.subdivisionLayer = L.geoJSON(subdivisionData, {
-            style: {
-                color: '#666666',
-                weight: 1,
-                fillColor: 'transparent',
-                fillOpacity: 0.1
-            }
-        }).addTo(this.map);
+        const m = (phi) => Math.cos(phi) / Math.sqrt(1 - e * e * Math.sin(phi) ** 2);
+        const t = (phi) => Math.tan(Math.PI / 4 - phi / 2) /
+            Math.pow((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi)), e / 2);
         
-        console.log('Subdivision layer added successfully');
+        const n = (Math.log(m(phi1)) - Math.log(m(phi2))) / (Math.log(t(phi1)) - Math.log(t(phi2)));
+        const F = m(phi1) / (n * Math.pow(t(phi1), n));
+        const rho0 = a * F * Math.pow(t(phi0), n);
+        
+        return (x, y) => {
+            const easting = (x - projection.falseEasting) * projection.unit;
+            const northing = rho0 - (y - projection.falseNorthing) * projection.unit;
+            
+            const rho = Math.sign(n) * Math.sqrt(easting * easting + northing * northing);
+            const theta = Math.atan2(Math.sign(n) * easting, Math.sign(n) * northing);
+            const tPrime = Math.pow(rho / (a * F), 1 / n);
+            
+            // Iterate for latitude (converges in a handful of steps)
+            let phi = Math.PI / 2 - 2 * Math.atan(tPrime);
+            for (let i = 0; i < 10; i++) {
+                const esin = e * Math.sin(phi);
+                const next = Math.PI / 2 - 2 * Math.atan(tPrime * Math.pow((1 - esin) / (1 + esin), e / 2));
+                if (Math.abs(next - phi) < 1e-12) {
+                    phi = next;
+                    break;
+                }
+                phi = next;
+            }
+            
+            const lambda = theta / n + lambda0;
+            return [lambda / toRad, phi / toRad];
+        };
     }
 
-    addParcelsLayer(parcelsData) {
-        console.log('Adding parcels layer...');
-        
-        if (parcelsData.features.length === 0) {
-            console.log('No parcels data to display');
-            return;
+    async loadTownData() {
+        try {
+            console.log('Loading town data...');
+            const response = await fetch(this.datasetConfig.towns.file);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} loading ${this.datasetConfig.towns.file}`);
+            }
+            const townData = this.simplifyGeoJSON(this.reprojectGeoJSON(await this.readJSONResponse(response, 'towns'), 'towns'), 'towns');
+            this.reportLoadProgress('towns', 'done');
+            console.log(`Town data loaded: ${townData.features.length} features`);
+            return townData;
+        } catch (error) {
+            console.error('Failed to load town data:', error);
+            this.loadFailures.push('towns');
+            return { features: [] };
         }
+    }
+
+    createCSVParser(options = {}) {
+        // Incremental RFC 4180 parser: feed text with push() as it arrives and
+        // call finish() at the end. Handles quoted delimiters and newlines,
+        // escaped quotes (""), CRLF or LF line endings and a leading BOM.
+        // Rows go to options.onRow(fields, line); problems go to options.onError
+        // as { line, type, message } instead of being thrown.
+        const onRow = options.onRow || (() => {});
+        const onError = options.onError || (() => {});
+        const trim = options.trim !== false;
+        let delimiter = options.delimiter && options.delimiter !== 'auto' ? options.delimiter : null;
         
-        // Find the account field dynamically
-        const firstFeature = parcelsData.features[0];
-        const accountField = Object.keys(firstFeature.properties).find(field => 
-            ['ACCOUNTNO', 'ACCOUNTNUM', 'ACCOUNT', 'ACCTNO', 'ACCT_NUM'].includes(field)
-        );
+        let pending = '';          // text held back until the delimiter is known
+        let started = false;
+        let state = 'start';       // start | unquoted | quoted | quote
+        let field = '';
+        let fields = [];
+        let line = 1;
+        let rowLine = 1;
+        let rowHasQuotes = false;
+        let skipLineFeed = false;
         
-        console.log('Using account field:', accountField);
+        const endField = () => {
+            fields.push(trim ? field.trim() : field);
+            field = '';
+            state = 'start';
+        };
         
-        // Count matches for debugging
-        let propertyMatches = 0;
-        let parcelMatches = 0;
-        let noMatches = 0;
-        let colorCounts = { 'ATTRIBUTESUBTYPE': {}, 'EXT CONDITION': {}, 'SumOfACTUALVALUE': {}, 'TOTALACTUA': {} };
+        const endRow = () => {
+            endField();
+            // Blank lines are skipped rather than reported as one-column rows
+            if (!(fields.length === 1 && fields[0] === '' && !rowHasQuotes)) {
+                onRow(fields, rowLine);
+            }
+            fields = [];
+            rowHasQuotes = false;
+            rowLine = line;
+        };
         
-        parcelsData.features.forEach(feature => {
-            const parcelInfo = this.getParcelData(feature, accountField);
-            
-            if (parcelInfo.source === 'property') {
-                propertyMatches++;
+        const consume = (text) => {
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
                 
-                // Count color categories
-                if (parcelInfo.data.ATTRIBUTESUBTYPE) {
-                    colorCounts['ATTRIBUTESUBTYPE'][parcelInfo.data.ATTRIBUTESUBTYPE] = (colorCounts['ATTRIBUTESUBTYPE'][parcelInfo.data.ATTRIBUTESUBTYPE] || 0) + 1;
-                }
-                if (parcelInfo.data['EXT CONDITION']) {
-                    colorCounts['EXT CONDITION'][parcelInfo.data['EXT CONDITION']] = (colorCounts['EXT CONDITION'][parcelInfo.data['EXT CONDITION']] || 0) + 1;
+                if (skipLineFeed) {
+                    skipLineFeed = false;
+                    if (char === '\n') continue;
                 }
-            } else if (parcelInfo.source === 'parcel') {
-                parcelMatches++;
                 
-                // Count parcel value categories
-                const value = parseFloat(parcelInfo.data.SumOfACTUALVALUE) || 0;
-                let category = 'Low';
-                if (value >= 800000) category = 'Very High';
-                else if (value >= 400000) category = 'High';
-                else if (value >= 200000) category = 'Medium';
+                const isNewline = char === '\n' || char === '\r';
+                if (isNewline) {
+                    line++;
+                    skipLineFeed = char === '\r';
+                }
                 
-                colorCounts['TOTALACTUA'][category] = (colorCounts['TOTALACTUA'][category] || 0) + 1;
-            } else {
-                noMatches++;
+                switch (state) {
+                    case 'quoted':
+                        if (char === '"') state = 'quote';
+                        else field += isNewline ? '\n' : char;
+                        break;
+                    case 'quote':
+                        // Just saw a quote inside a quoted field
+                        if (char === '"') {
+                            field += '"';
+                            state = 'quoted';
+                        } else if (char === delimiter) {
+                            endField();
+                        } else if (isNewline) {
+                            endRow();
+                        } else {
+                            onError({ line, type: 'stray-quote', message: `Unexpected character after closing quote in column ${fields.length + 1}` });
+                            field += char;
+                            state = 'unquoted';
+                        }
+                        break;
+                    default:
+                        if (char === delimiter) {
+                            endField();
+                        } else if (isNewline) {
+                            endRow();
+                        } else if (char === '"' && state === 'start' && field.trim() === '') {
+                            field = '';
+                            rowHasQuotes = true;
+                            state = 'quoted';
+                        } else {
+                            if (char === '"') {
+                                onError({ line, type: 'stray-quote', message: `Quote inside unquoted field in column ${fields.length + 1}` });
+                            }
+                            field += char;
+                            state = 'unquoted';
+                        }
+                }
             }
-        });
+        };
         
-        console.log(`Hybrid matching: ${propertyMatches} property data, ${parcelMatches} parcel data, ${noMatches} no data`);
-        console.log('Color category counts:', colorCounts);
+        const start = (text) => {
+            started = true;
+            if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+            if (!delimiter) delimiter = this.detectCSVDelimiter(text);
+            consume(text);
+        };
         
-        // Add layer with enhanced styling
-        this.parcelsLayer = L.geoJSON(parcelsData, {
-            style: (feature) => this.getParcelStyle(feature, accountField),
-            onEachFeature: (feature, layer) => {
-                this.addParcelInteractions(feature, layer, accountField);
+        return {
+            push: (chunk) => {
+                if (started) {
+                    consume(chunk);
+                    return;
+                }
+                // Wait for a complete first line so the delimiter can be sniffed
+                pending += chunk;
+                if (/[\r\n]/.test(pending)) {
+                    start(pending);
+                    pending = '';
+                }
+            },
+            finish: () => {
+                if (!started) start(pending);
+                
+                if (state === 'quoted') {
+                    onError({ line: rowLine, type: 'unterminated-quote', message: 'Quoted field is never closed; row dropped' });
+                } else if (field !== '' || fields.length > 0 || state === 'quote') {
+                    endRow();
+                }
+                return { delimiter, lines: line };
             }
-        }).addTo(this.map);
-        
-        console.log('Parcels layer added successfully');
+        };
     }
 
-    addAddressLayer(addressData) {
-        console.log('Adding address layer...');
+    detectCSVDelimiter(text) {
+        // Pick whichever candidate appears most often in the header line
+        const headerLine = text.split(/\r?\n|\r/)[0].replace(/"[^"]*"/g, '');
+        const candidates = [',', ';', '\t', '|'];
+        let best = ',';
+        let bestCount = 0;
+        candidates.forEach(candidate => {
+            const count = headerLine.split(candidate).length - 1;
+            if (count > bestCount) {
+                best = candidate;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+
+    async streamResponseText(response, onChunk, encoding, label = null) {
+        // Decode the body chunk by chunk; falls back to text() where streams
+        // aren't available. The charset comes from the caller or Content-Type.
+        // With a label, download progress is reported under that file name.
+        const contentType = response.headers.get('Content-Type') || '';
+        const charsetMatch = contentType.match(/charset=([^;]+)/i);
+        const charset = encoding || (charsetMatch ? charsetMatch[1].trim() : 'utf-8');
         
-        if (addressData.features.length === 0) {
-            console.log('No address data to display');
+        let decoder;
+        try {
+            decoder = new TextDecoder(charset);
+        } catch (error) {
+            console.warn(`⚠️ Unsupported encoding "${charset}", falling back to UTF-8`);
+            decoder = new TextDecoder('utf-8');
+        }
+        
+        const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+        if (!response.body || !response.body.getReader) {
+            const buffer = await response.arrayBuffer();
+            if (label) this.reportLoadProgress(label, 'download', buffer.byteLength, total);
+            onChunk(decoder.decode(buffer));
             return;
         }
         
-        // Add address points as small markers (hidden by default)
-        this.addressLayer = L.geoJSON(addressData, {
-            pointToLayer: (feature, latlng) => {
-                return L.circleMarker(latlng, {
-                    radius: 1,
-                    color: '#FF6B6B',
-                    fillColor: '#FF6B6B',
-                    fillOpacity: 0.3,
-                    weight: 0.5
+        const reader = response.body.getReader();
+        let loaded = 0;
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            loaded += value.byteLength;
+            if (label) this.reportLoadProgress(label, 'download', loaded, total);
+            onChunk(decoder.decode(value, { stream: true }));
+        }
+        onChunk(decoder.decode());
+    }
+
+    getPrimaryAttributeSource() {
+        return this.datasetConfig.attributes.find(source => source.primary) || this.datasetConfig.attributes[0];
+    }
+
+    normalizeKey(value, rules = {}) {
+        // Applies a dataset's keyNormalization rules (see datasets_config.js)
+        if (value === undefined || value === null) return '';
+        let key = String(value);
+        
+        if (rules.trim !== false) key = key.trim();
+        if (rules.uppercase) key = key.toUpperCase();
+        if (rules.stripNonAlphanumeric) key = key.replace(/[^A-Za-z0-9]/g, '');
+        if (key && rules.padStart) key = key.padStart(rules.padStart.length, rules.padStart.char || '0');
+        if (key && rules.prefix && !key.startsWith(rules.prefix)) key = rules.prefix + key;
+        
+        return key;
+    }
+
+    renameFields(values, source) {
+        const renames = source.renames || {};
+        return values.map(field => renames[field] || field);
+    }
+
+    createDatasetCSVParser(source, records, errors, yearRecords = null) {
+        // Rows of an attribute table become records keyed by the normalized
+        // source.keyField; problem rows are added to `errors` tagged with the source.
+        // With yearRecords and a source.yearField, rows are also filed by tax year.
+        let headers = null;
+        let rowCount = 0;
+        const keyField = (source.renames && source.renames[source.keyField]) || source.keyField;
+        const yearField = source.yearField && ((source.renames && source.renames[source.yearField]) || source.yearField);
+        const addError = (error) => errors.push(Object.assign({ source: source.name }, error));
+        
+        const parser = this.createCSVParser({
+            delimiter: source.delimiter,
+            onError: addError,
+            onRow: (values, line) => {
+                if (!headers) {
+                    headers = this.renameFields(values, source);
+                    console.log(`${source.name} CSV headers:`, headers);
+                    if (!headers.includes(keyField)) {
+                        addError({ line, type: 'missing-key-field', message: `Key field ${keyField} not found in header` });
+                    }
+                    return;
+                }
+                
+                rowCount++;
+                if (values.length !== headers.length) {
+                    addError({
+                        line,
+                        type: 'column-count',
+                        message: `Expected ${headers.length} columns, got ${values.length}`,
+                        values
+                    });
+                    return;
+                }
+                
+                const record = {};
+                headers.forEach((header, index) => {
+                    record[header] = values[index] || '';
                 });
+                
+                // Store by normalized key for direct lookup
+                const key = this.normalizeKey(record[keyField], source.keyNormalization);
+                if (!key) {
+                    addError({ line, type: 'missing-account', message: `Row has no ${keyField}`, values });
+                    return;
+                }
+                
+                const year = yearRecords && yearField ? parseInt(record[yearField], 10) : NaN;
+                if (!isNaN(year)) {
+                    if (!yearRecords.has(year)) yearRecords.set(year, new Map());
+                    yearRecords.get(year).set(key, record);
+                    
+                    // Other tax years of the same account are history, not
+                    // duplicates; the latest year stays the current record
+                    const current = records.get(key);
+                    const currentYear = current ? parseInt(current[yearField], 10) : NaN;
+                    if (current && currentYear !== year) {
+                        if (currentYear < year) records.set(key, record);
+                        return;
+                    }
+                }
+                
+                if (records.has(key)) {
+                    addError({
+                        line,
+                        type: 'duplicate-account',
+                        message: `${keyField} ${key} appears more than once; later row kept`,
+                        account: key
+                    });
+                }
+                records.set(key, record);
+            }
+        });
+        
+        return {
+            push: (chunk) => parser.push(chunk),
+            finish: () => {
+                const { delimiter } = parser.finish();
+                if (!headers) {
+                    addError({ line: 1, type: 'empty-file', message: 'No header row found in CSV' });
+                }
+                console.log(`Parsed ${records.size} ${source.name} records from ${rowCount} rows (delimiter "${delimiter}")`);
+                return { headers: headers || [], rowCount, errors };
+            }
+        };
+    }
+
+    createPropertyCSVParser(source = this.getPrimaryAttributeSource()) {
+        // The primary table fills propertyData and owns csvErrors
+        const errors = [];
+        const parser = this.createDatasetCSVParser(source, this.propertyData, errors, this.propertyYears);
+        
+        return {
+            push: (chunk) => parser.push(chunk),
+            finish: () => {
+                const result = parser.finish();
+                
+                this.csvErrors = errors;
+                if (errors.length > 0) {
+                    console.warn(`⚠️ ${errors.length} CSV rows had problems:`, errors.slice(0, 10));
+                }
+                this.clearJoinCache();
+                
+                // Rebuild categorical color schemes from the values we just parsed
+                this.buildColorSchemes();
+                
+                return result;
+            }
+        };
+    }
+
+    parsePropertyData(csvText, source = this.getPrimaryAttributeSource()) {
+        console.log('Parsing property CSV data...');
+        const parser = this.createPropertyCSVParser(source);
+        parser.push(csvText);
+        return parser.finish();
+    }
+
+    async streamPropertyData(response, source = this.getPrimaryAttributeSource()) {
+        console.log('Streaming property CSV data...');
+        const parser = this.createPropertyCSVParser(source);
+        await this.streamResponseText(response, chunk => parser.push(chunk), source.encoding, source.name);
+        return parser.finish();
+    }
+
+    async loadPropertyHistory(primary) {
+        // Earlier tax-year extracts of the primary table only fill propertyYears
+        const files = primary.history || [];
+        await Promise.all(files.map(async file => {
+            const source = Object.assign({}, primary, { name: file.split('/').pop(), file });
+            try {
+                const response = await fetch(file);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} loading ${file}`);
+                }
+                const errors = [];
+                const parser = this.createDatasetCSVParser(source, new Map(), errors, this.propertyYears);
+                await this.streamResponseText(response, chunk => parser.push(chunk), source.encoding, source.name);
+                parser.finish();
+                this.csvErrors = this.csvErrors.concat(errors);
+                this.reportLoadProgress(source.name, 'done');
+            } catch (error) {
+                console.error(`Failed to load property history ${file}:`, error);
+                this.loadFailures.push(source.name);
+            }
+        }));
+        console.log('Tax years loaded:', this.getPropertyYears());
+    }
+
+    getPropertyYears() {
+        return Array.from(this.propertyYears.keys()).sort((a, b) => a - b);
+    }
+
+    resetChangeYears() {
+        // Keep linked years when both exist, else compare the two latest years
+        const years = this.getPropertyYears();
+        const { from, to } = this.changeYears;
+        if (years.includes(from) && years.includes(to) && from !== to) return;
+        this.changeYears = years.length >= 2
+            ? { from: years[years.length - 2], to: years[years.length - 1] }
+            : { from: null, to: null };
+    }
+
+    checkChangeColorBy() {
+        // A linked change mode needs two tax years; without them every parcel is no-data
+        const config = this.numericConfig[this.colorBy];
+        if (!config || !config.diverging || this.getPropertyYears().length >= 2) return;
+        console.warn(`⚠️ ${this.colorBy} needs two tax years, coloring by ${this.defaultColorBy} instead`);
+        this.colorBy = this.defaultColorBy;
+        const colorBySelect = document.getElementById('color-by');
+        if (colorBySelect) colorBySelect.value = this.colorBy;
+    }
+
+    getValueHistory(account) {
+        // [{ year, value }] for every tax year with a total value for the account
+        return this.getPropertyYears()
+            .map(year => {
+                const record = this.propertyYears.get(year).get(account);
+                return { year, value: record ? parseFloat(record.SumOfACTUALVALUE) : NaN };
+            })
+            .filter(entry => Number.isFinite(entry.value));
+    }
+
+    getValueChange(account) {
+        const { from, to } = this.changeYears;
+        const before = this.propertyYears.has(from) && this.propertyYears.get(from).get(account);
+        const after = this.propertyYears.has(to) && this.propertyYears.get(to).get(account);
+        if (!before || !after) return null;
+        
+        const beforeValue = parseFloat(before.SumOfACTUALVALUE);
+        const afterValue = parseFloat(after.SumOfACTUALVALUE);
+        if (!(beforeValue > 0) || !Number.isFinite(afterValue)) return null;
+        return { difference: afterValue - beforeValue, percent: (afterValue - beforeValue) / beforeValue };
+    }
+
+    async loadAttributeSource(source) {
+        // Returns a Map of normalized key -> record for one secondary table
+        const records = new Map();
+        const errors = [];
+        const response = await fetch(source.file);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${source.file}`);
+        }
+        
+        if (source.format === 'geojson') {
+            this.readGeoJSONRecords(await this.readJSONResponse(response, source.name), source, records, errors);
+        } else {
+            const parser = this.createDatasetCSVParser(source, records, errors);
+            await this.streamResponseText(response, chunk => parser.push(chunk), source.encoding, source.name);
+            parser.finish();
+        }
+        this.reportLoadProgress(source.name, 'done');
+        
+        return { records, errors };
+    }
+
+    readGeoJSONRecords(geojson, source, records, errors) {
+        // Feature properties as attribute records; geometry is ignored
+        const keyField = (source.renames && source.renames[source.keyField]) || source.keyField;
+        (geojson.features || []).forEach((feature, index) => {
+            const record = {};
+            Object.entries(feature.properties || {}).forEach(([field, value]) => {
+                record[(source.renames && source.renames[field]) || field] = value;
+            });
+            const key = this.normalizeKey(record[keyField], source.keyNormalization);
+            if (key) records.set(key, record);
+            else errors.push({ source: source.name, line: index + 1, type: 'missing-account', message: `Feature has no ${keyField}` });
+        });
+    }
+
+    async loadSecondaryAttributeSources() {
+        const sources = this.datasetConfig.attributes;
+        const primary = this.getPrimaryAttributeSource();
+        const secondary = sources.filter(source => source !== primary);
+        if (secondary.length === 0) return;
+        
+        const loaded = await Promise.all(secondary.map(async source => {
+            try {
+                console.log(`Loading ${source.name} attributes from ${source.file}...`);
+                return await this.loadAttributeSource(source);
+            } catch (error) {
+                console.error(`Failed to load ${source.name} attributes:`, error);
+                this.loadFailures.push(source.name);
+                return { records: new Map(), errors: [] };
+            }
+        }));
+        
+        const recordsBySource = new Map([[primary, this.propertyData]]);
+        secondary.forEach((source, index) => {
+            recordsBySource.set(source, loaded[index].records);
+            this.csvErrors = this.csvErrors.concat(loaded[index].errors);
+            
+            const unmatched = Array.from(loaded[index].records.keys()).filter(key => !this.propertyData.has(key)).length;
+            console.log(`${source.name}: ${loaded[index].records.size} records, ${unmatched} with no ${primary.name} record`);
+        });
+        
+        this.mergeAttributeSources(sources, recordsBySource);
+    }
+
+    mergeAttributeSources(sources, recordsBySource) {
+        // Apply sources from lowest to highest precedence so earlier ones win
+        const merged = new Map();
+        this.propertyData.forEach((primaryRecord, key) => {
+            const record = {};
+            sources.slice().reverse().forEach(source => {
+                const sourceRecord = recordsBySource.get(source).get(key);
+                if (sourceRecord) Object.assign(record, sourceRecord);
+            });
+            merged.set(key, record);
+        });
+        
+        this.propertyData = merged;
+        this.clearJoinCache();
+        this.buildColorSchemes();
+        console.log(`Merged ${sources.length} attribute sources into ${merged.size} records`);
+    }
+
+    buildColorSchemes() {
+        console.log('Building categorical color schemes from property data...');
+        
+        Object.entries(this.categoricalConfig).forEach(([attribute, config]) => {
+            // Collect distinct non-empty values for this attribute
+            const values = new Set();
+            this.propertyData.forEach(record => {
+                const value = this.normalizeCategory(attribute, record[attribute]);
+                if (value) values.add(value);
+            });
+            
+            // Known values in configured order, anything else alphabetically after them
+            const ordered = config.order.filter(value => values.has(value));
+            const extras = Array.from(values)
+                .filter(value => !config.order.includes(value))
+                .sort();
+            
+            if (extras.length > 0) {
+                console.warn(`${attribute}: values not in configured order, appended:`, extras);
+            }
+            
+            const categories = ordered.concat(extras);
+            const colors = this.interpolatePalette(config.palette, categories.length);
+            
+            this.categoryValues[attribute] = categories;
+            this.colorSchemes[attribute] = {};
+            categories.forEach((category, index) => {
+                this.colorSchemes[attribute][category] = colors[index];
+            });
+            
+            console.log(`${attribute} scheme:`, this.colorSchemes[attribute]);
+        });
+    }
+
+    normalizeCategory(attribute, rawValue) {
+        const config = this.categoricalConfig[attribute] || {};
+        let value = String(rawValue || '').trim().replace(/\s+/g, ' ');
+        
+        if (config.normalize === 'titlecase') {
+            value = value.toLowerCase().replace(/\b\w/g, letter => letter.toUpperCase());
+        }
+        if (config.aliases && config.aliases[value]) {
+            value = config.aliases[value];
+        }
+        return value;
+    }
+
+    interpolatePalette(palette, count) {
+        // Spread `count` colors evenly along the palette stops
+        if (count <= 0) return [];
+        if (count === 1) return [palette[palette.length - 1]];
+        
+        const colors = [];
+        for (let i = 0; i < count; i++) {
+            colors.push(this.getRampColor(palette, i / (count - 1)));
+        }
+        return colors;
+    }
+
+    interpolateColor(fromHex, toHex, t) {
+        const from = parseInt(fromHex.slice(1), 16);
+        const to = parseInt(toHex.slice(1), 16);
+        const channel = (shift) => {
+            const a = (from >> shift) & 0xff;
+            const b = (to >> shift) & 0xff;
+            return Math.round(a + (b - a) * t);
+        };
+        const rgb = (channel(16) << 16) | (channel(8) << 8) | channel(0);
+        return '#' + rgb.toString(16).padStart(6, '0');
+    }
+
+    parseAddressData(addressData) {
+        console.log('Parsing address data...');
+        
+        const { keyField, keyNormalization } = this.datasetConfig.addresses;
+        addressData.features.forEach(feature => {
+            const props = feature.properties;
+            const key = this.normalizeKey(props[keyField], keyNormalization);
+            if (key) {
+                this.addressData.set(key, props);
+            }
+        });
+        
+        console.log(`Parsed ${this.addressData.size} address records`);
+    }
+
+    getParcelKey(feature, accountField = this.accountField) {
+        // Parcel account normalized the same way as the attribute table keys
+        return this.normalizeKey(feature.properties[accountField], this.datasetConfig.parcels.keyNormalization);
+    }
+
+    findParcelKeyField(properties) {
+        return Object.keys(properties).find(field => this.datasetConfig.parcels.keyFields.includes(field));
+    }
+
+    getParcelData(feature, accountField) {
+        const cached = this.joinCache.get(feature);
+        if (cached) return cached;
+        
+        const parcelInfo = this.joinParcelData(feature, accountField);
+        this.joinCache.set(feature, parcelInfo);
+        return parcelInfo;
+    }
+
+    clearJoinCache() {
+        this.joinCache = new WeakMap();
+    }
+
+    joinParcelData(feature, accountField) {
+        // Hybrid approach: try property data first, fallback to parcel data
+        const parcelAccount = this.getParcelKey(feature, accountField);
+        const propertyInfo = this.propertyData.get(parcelAccount);
+        
+        if (propertyInfo) {
+            // Has property data - use it
+            return {
+                source: 'property',
+                data: propertyInfo,
+                account: parcelAccount
+            };
+        } else {
+            // No property data - use parcel data, mapped per datasets_config.js
+            const parcelData = feature.properties;
+            const fallbackFields = this.datasetConfig.parcels.fallbackFields || {};
+            const data = {
+                ACCOUNTNO: parcelAccount,
+                'EXT CONDITION': 'Unknown', // Parcel data doesn't have quality
+                ATTRIBUTESUBTYPE: 'Unknown' // Parcel data doesn't have view
+            };
+            Object.entries(fallbackFields).forEach(([field, parcelField]) => {
+                data[field] = parcelData[parcelField] || (field === 'SumOfACTUALVALUE' ? 0 : 'N/A');
+            });
+            return {
+                source: 'parcel',
+                data,
+                account: parcelAccount
+            };
+        }
+    }
+
+    addSubdivisionLayer(subdivisionData) {
+        console.log('Adding subdivision layer...');
+        
+        if (subdivisionData.features.length === 0) {
+            console.log('No subdivision data to display');
+            return;
+        }
+        
+        this.subdivisionLayer = L.geoJSON(subdivisionData, {
+            style: {
+                color: '#666666',
+                weight: 1,
+                fillColor: 'transparent',
+                fillOpacity: 0.1
             },
             onEachFeature: (feature, layer) => {
-                const props = feature.properties;
-                layer.bindPopup(`
-                    <strong>Address Point</strong><br>
-                    Account: ${props.ACCOUNTNO || 'N/A'}<br>
-                    Label: ${props.Label || 'N/A'}<br>
-                    Vacant: ${props.Vacant || 'N/A'}
-                `);
+                const name = this.getSubdivisionName(feature);
+                if (name) this.addPlace(name, 'Subdivision', layer.getBounds());
+                
+                // Statistics are aggregated on first use, once parcels are loaded
+                layer.bindPopup(() => this.buildSubdivisionPopup(feature, layer));
+            }
+        }).addTo(this.map);
+        
+        console.log('Subdivision layer added successfully');
+    }
+
+    getSubdivisionName(feature) {
+        // Subdivision exports have used several names for the same field
+        const props = feature.properties || {};
+        const field = ['SUBNAME', 'SubName', 'SUBDIVISIO', 'NAME', 'Name', 'Label'].find(key => props[key]);
+        return field ? String(props[field]).trim() : null;
+    }
+
+    addPlace(name, type, bounds) {
+        if (!bounds || !bounds.isValid()) return;
+        
+        // Some places are split across several features - merge their extents
+        const key = `${type}:${name.toUpperCase()}`;
+        const existing = this.places.get(key);
+        if (existing) {
+            existing.bounds.extend(bounds);
+        } else {
+            this.places.set(key, { name, type, bounds: L.latLngBounds(bounds.getSouthWest(), bounds.getNorthEast()) });
+        }
+    }
+
+    getTownName(feature) {
+        // Label is the display name; fall back to the upper-case Name field
+        const props = feature.properties || {};
+        if (props.Label) return props.Label;
+        if (!props.Name) return 'Unnamed Town';
+        return props.Name.toLowerCase().replace(/\b\w/g, letter => letter.toUpperCase());
+    }
+
+    addTownLayer(townData) {
+        console.log('Adding town layer...');
+        
+        if (townData.features.length === 0) {
+            console.log('No town data to display');
+            return;
+        }
+        
+        // Towns.geojson also carries label-only points for neighboring towns
+        // with no geometry - only draw the actual town boundaries
+        this.townLayer = L.geoJSON(townData, {
+            filter: (feature) => !!feature.geometry,
+            style: {
+                color: '#224428',
+                weight: 2,
+                dashArray: '6 4',
+                fillColor: '#98A37D',
+                fillOpacity: 0.05
+            },
+            onEachFeature: (feature, layer) => {
+                layer.bindTooltip(this.escapeHtml(this.getTownName(feature)), {
+                    permanent: true,
+                    direction: 'center',
+                    className: 'town-label'
+                });
+                
+                // Stats are computed on first click, once parcels are loaded
+                layer.bindPopup(() => this.buildTownPopup(feature, layer));
+                
+                this.addPlace(this.getTownName(feature), 'Town', layer.getBounds());
             }
+        }).addTo(this.map);
+        
+        console.log('Town layer added successfully');
+    }
+
+    getTownStats(feature, layer) {
+        if (this.townStats.has(layer)) {
+            return this.townStats.get(layer);
+        }
+        
+        const stats = {
+            parcelCount: 0,
+            propertyCount: 0,
+            values: [],
+            views: {},
+            conditions: {}
+        };
+        
+        if (this.parcelsLayer) {
+            const townBounds = layer.getBounds();
+            
+            this.parcelsLayer.eachLayer(parcelLayer => {
+                const center = parcelLayer.getBounds().getCenter();
+                if (!townBounds.contains(center) || !this.isPointInGeometry(center, this.getSourceGeometry(feature))) {
+                    return;
+                }
+                
+                const parcelInfo = this.getParcelData(parcelLayer.feature, this.accountField);
+                stats.parcelCount++;
+                
+                const value = parseFloat(parcelInfo.data.SumOfACTUALVALUE) || 0;
+                if (value > 0) stats.values.push(value);
+                
+                if (parcelInfo.source === 'property') {
+                    stats.propertyCount++;
+                    const view = parcelInfo.data.ATTRIBUTESUBTYPE || 'Uncategorized';
+                    const condition = parcelInfo.data['EXT CONDITION'] || 'Uncategorized';
+                    stats.views[view] = (stats.views[view] || 0) + 1;
+                    stats.conditions[condition] = (stats.conditions[condition] || 0) + 1;
+                }
+            });
+        }
+        
+        stats.totalValue = stats.values.reduce((sum, value) => sum + value, 0);
+        stats.medianValue = this.calculateMedian(stats.values);
+        
+        this.townStats.set(layer, stats);
+        return stats;
+    }
+
+    buildTownPopup(feature, layer) {
+        const stats = this.getTownStats(feature, layer);
+        
+        let popupContent = `<strong>${this.escapeHtml(this.getTownName(feature))}</strong><br>`;
+        popupContent += `Status: ${this.escapeHtml(feature.properties.Notes || 'N/A')}<br>`;
+        
+        if (!this.parcelsLayer) {
+            popupContent += `<br>Parcel data not loaded`;
+            return popupContent;
+        }
+        
+        popupContent += `<br><strong>Parcel Statistics</strong><br>`;
+        popupContent += `Parcels: ${stats.parcelCount.toLocaleString()}<br>`;
+        popupContent += `With Property Data: ${stats.propertyCount.toLocaleString()}<br>`;
+        popupContent += `Median Value: $${Math.round(stats.medianValue).toLocaleString()}<br>`;
+        popupContent += `Total Value: $${Math.round(stats.totalValue).toLocaleString()}<br>`;
+        
+        popupContent += this.formatDistribution('View', stats.views, this.categoryValues['ATTRIBUTESUBTYPE']);
+        popupContent += this.formatDistribution('Quality', stats.conditions, this.categoryValues['EXT CONDITION']);
+        
+        return popupContent;
+    }
+
+    formatDistribution(title, counts, order = []) {
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        if (total === 0) return '';
+        
+        // Follow the color scheme order, then anything else (e.g. Uncategorized)
+        const keys = order.filter(key => counts[key])
+            .concat(Object.keys(counts).filter(key => !order.includes(key)));
+        
+        let html = `<br><strong>${title}</strong><br>`;
+        keys.forEach(key => {
+            const percent = Math.round((counts[key] / total) * 100);
+            html += `${this.escapeHtml(key)}: ${counts[key].toLocaleString()} (${percent}%)<br>`;
         });
+        return html;
+    }
+
+    calculateMedian(values) {
+        if (values.length === 0) return 0;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    isPointInGeometry(latlng, geometry) {
+        if (!geometry) return false;
+        
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates
+            : [];
+        
+        // Inside the outer ring and outside every hole of any polygon
+        return polygons.some(rings =>
+            this.isPointInRing(latlng.lng, latlng.lat, rings[0]) &&
+            !rings.slice(1).some(hole => this.isPointInRing(latlng.lng, latlng.lat, hole))
+        );
+    }
+
+    isPointInRing(x, y, ring) {
+        // Ray casting against a ring of [lng, lat] positions
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    addParcelsLayer(parcelsData) {
+        console.log('Adding parcels layer...');
+        
+        if (parcelsData.features.length === 0) {
+            console.log('No parcels data to display');
+            return;
+        }
+        
+        // Find the account field from the configured candidates
+        const accountField = this.findParcelKeyField(parcelsData.features[0].properties);
+        
+        console.log('Using account field:', accountField);
+        this.accountField = accountField;
+        this.parcelFeatures = parcelsData.features;
+        this.updateValueClasses();
+        
+        // Count matches for debugging
+        let propertyMatches = 0;
+        let parcelMatches = 0;
+        let noMatches = 0;
+        let colorCounts = { 'ATTRIBUTESUBTYPE': {}, 'EXT CONDITION': {}, 'TOTALACTUA': {} };
+        
+        parcelsData.features.forEach(feature => {
+            const parcelInfo = this.getParcelData(feature, accountField);
+            
+            if (parcelInfo.source === 'property') {
+                propertyMatches++;
+                
+                // Count color categories
+                if (parcelInfo.data.ATTRIBUTESUBTYPE) {
+                    colorCounts['ATTRIBUTESUBTYPE'][parcelInfo.data.ATTRIBUTESUBTYPE] = (colorCounts['ATTRIBUTESUBTYPE'][parcelInfo.data.ATTRIBUTESUBTYPE] || 0) + 1;
+                }
+                if (parcelInfo.data['EXT CONDITION']) {
+                    colorCounts['EXT CONDITION'][parcelInfo.data['EXT CONDITION']] = (colorCounts['EXT CONDITION'][parcelInfo.data['EXT CONDITION']] || 0) + 1;
+                }
+            } else if (parcelInfo.source === 'parcel') {
+                parcelMatches++;
+                
+                // Count parcel value classes
+                const classIndex = this.getValueClassIndex(this.getNumericValue(this.colorBy, parcelInfo, feature));
+                const category = classIndex === null ? 'No Value' : this.getValueClassLabel(classIndex);
+                
+                colorCounts['TOTALACTUA'][category] = (colorCounts['TOTALACTUA'][category] || 0) + 1;
+            } else {
+                noMatches++;
+            }
+        });
+        
+        console.log(`Hybrid matching: ${propertyMatches} property data, ${parcelMatches} parcel data, ${noMatches} no data`);
+        this.joinStats = { propertyMatches, parcelMatches, noMatches, total: parcelsData.features.length };
+        console.log('Color category counts:', colorCounts);
+        
+        // Add layer with enhanced styling
+        this.parcelsLayer = L.geoJSON(parcelsData, {
+            renderer: this.canvasRenderer,
+            style: (feature) => this.getParcelStyle(feature, accountField),
+            onEachFeature: (feature, layer) => {
+                this.addParcelInteractions(feature, layer, accountField);
+                
+                const account = this.getParcelKey(feature, accountField);
+                if (account) {
+                    if (this.parcelLayers.has(account)) this.duplicateParcelLayers.push(layer);
+                    this.parcelLayers.set(account, layer);
+                }
+            }
+        }).addTo(this.map);
+        
+        console.log('Parcels layer added successfully');
+        
+        this.buildSearchIndex();
+    }
+
+    buildSearchIndex() {
+        console.log('Building parcel search index...');
+        this.searchIndex = [];
+        
+        this.parcelLayers.forEach((layer, account) => {
+            const props = layer.feature.properties;
+            const property = this.propertyData.get(account) || {};
+            const address = this.addressData.get(account) || {};
+            
+            const fields = [
+                { label: 'Account', text: account },
+                { label: 'Parcel #', text: props.ParcelNumb },
+                { label: 'Owner', text: props.OWNERNAME },
+                { label: 'Address', text: props.PROPERTYLO },
+                { label: 'Address', text: property.SITUS },
+                { label: 'Address', text: address.Label },
+                { label: 'Subdivision', text: property.SUBNAME || props.SUBDIVISIO }
+            ]
+                .filter(field => field.text && String(field.text).trim())
+                .map(field => ({
+                    label: field.label,
+                    text: String(field.text).trim(),
+                    compact: String(field.text).toUpperCase().replace(/[^A-Z0-9]/g, ''),
+                    tokens: this.normalizeSearchText(field.text)
+                }));
+            
+            this.searchIndex.push({
+                account,
+                layer,
+                title: String(property.SITUS || props.PROPERTYLO || address.Label || account).replace(/\s+/g, ' '),
+                fields
+            });
+        });
+        
+        console.log(`Search index built: ${this.searchIndex.length} parcels`);
+    }
+
+    normalizeSearchText(text) {
+        const upper = String(text || '').toUpperCase()
+            .replace(/\bCOUNTY (ROAD|RD)\b/g, 'CR')
+            .replace(/\bCO (ROAD|RD)\b/g, 'CR')
+            .replace(/&/g, ' AND ')
+            .replace(/#/g, ' # ');
+        
+        return upper
+            .split(/[^A-Z0-9#]+/)
+            .filter(token => token)
+            .map(token => this.addressAbbreviations[token] || token);
+    }
+
+    matchSearchToken(queryToken, fieldTokens) {
+        // 3 = exact token, 2 = prefix (type-ahead), 1 = one typo away
+        // (typos are only forgiven in words - a wrong house number is a different parcel)
+        let best = 0;
+        for (const token of fieldTokens) {
+            if (token === queryToken) return 3;
+            if (token.startsWith(queryToken)) {
+                best = Math.max(best, 2);
+            } else if (best === 0 && /^[A-Z]{4,}$/.test(queryToken) && this.isWithinOneEdit(queryToken, token)) {
+                best = 1;
+            }
+        }
+        return best;
+    }
+
+    isWithinOneEdit(a, b) {
+        if (Math.abs(a.length - b.length) > 1) return false;
+        
+        let i = 0;
+        let j = 0;
+        let edits = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                i++;
+                j++;
+                continue;
+            }
+            if (++edits > 1) return false;
+            if (a.length > b.length) i++;
+            else if (a.length < b.length) j++;
+            else {
+                i++;
+                j++;
+            }
+        }
+        return edits + (a.length - i) + (b.length - j) <= 1;
+    }
+
+    searchParcels(query, limit = 10) {
+        const queryTokens = this.normalizeSearchText(query);
+        const compactQuery = String(query).toUpperCase().replace(/[^A-Z0-9]/g, '');
+        if (queryTokens.length === 0) return [];
+        
+        const results = [];
+        
+        this.searchIndex.forEach(entry => {
+            let bestScore = 0;
+            let bestField = null;
+            
+            entry.fields.forEach(field => {
+                let score;
+                
+                // Account and parcel numbers are matched ignoring punctuation
+                if (field.compact === compactQuery) {
+                    score = 100;
+                } else if (compactQuery.length >= 3 && field.compact.startsWith(compactQuery) &&
+                           (field.label === 'Account' || field.label === 'Parcel #')) {
+                    score = 50;
+                } else {
+                    // Every query token has to match some token in the field
+                    score = 0;
+                    for (const queryToken of queryTokens) {
+                        const tokenScore = this.matchSearchToken(queryToken, field.tokens);
+                        if (tokenScore === 0) {
+                            score = 0;
+                            break;
+                        }
+                        score += tokenScore;
+                    }
+                }
+                
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestField = field;
+                }
+            });
+            
+            if (bestScore > 0) {
+                results.push({ entry, field: bestField, score: bestScore });
+            }
+        });
+        
+        results.sort((a, b) => b.score - a.score || a.entry.title.localeCompare(b.entry.title));
+        return results.slice(0, limit);
+    }
+
+    addAddressLayer(addressData) {
+        console.log('Adding address layer...');
+        
+        if (addressData.features.length === 0) {
+            console.log('No address data to display');
+            return;
+        }
+        
+        // Add address points as small markers (hidden by default)
+        this.addressLayer = L.geoJSON(addressData, {
+            pointToLayer: (feature, latlng) => {
+                return L.circleMarker(latlng, {
+                    renderer: this.canvasRenderer,
+                    radius: 1,
+                    color: '#FF6B6B',
+                    fillColor: '#FF6B6B',
+                    fillOpacity: 0.3,
+                    weight: 0.5
+                });
+            },
+            onEachFeature: (feature, layer) => {
+                const props = feature.properties;
+                layer.bindPopup(`
+                    <strong>Address Point</strong><br>
+                    Account: ${this.escapeHtml(props.ACCOUNTNO || 'N/A')}<br>
+                    Label: ${this.escapeHtml(props.Label || 'N/A')}<br>
+                    Vacant: ${this.escapeHtml(props.Vacant || 'N/A')}
+                `);
+            }
+        });
+        
+        // Don't add to map by default - user can toggle if needed
+        console.log('Address layer created (hidden by default)');
+    }
+
+    getParcelCategory(parcelInfo) {
+        // Legend key for the active categorical attribute: null when the parcel
+        // has no property record, 'uncategorized' when its value is not in the scheme
+        if (!parcelInfo || parcelInfo.source !== 'property') return null;
+        
+        const value = this.normalizeCategory(this.colorBy, parcelInfo.data[this.colorBy]);
+        const scheme = this.colorSchemes[this.colorBy] || {};
+        return scheme[value] ? value : 'uncategorized';
+    }
+
+    getNumericValue(attribute, parcelInfo, feature) {
+        // Returns a positive number (any number for the change modes), or null
+        // when the parcel has no usable value
+        const data = parcelInfo.data;
+        const positive = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+        
+        switch (attribute) {
+            case 'AYB': {
+                // Parcel-only records carry the tax year in AYB, and the CSV uses
+                // 0 and 9999 as placeholders - neither is a real year built
+                if (parcelInfo.source !== 'property') return null;
+                const year = parseInt(data.AYB, 10);
+                return year >= 1800 && year <= new Date().getFullYear() + 1 ? year : null;
+            }
+            case 'ASSESSED_RATIO': {
+                const assessed = parseFloat(data.SumOfRAWASSESSEDVALUE);
+                const actual = parseFloat(data.SumOfACTUALVALUE);
+                return assessed > 0 && actual > 0 ? assessed / actual : null;
+            }
+            case 'VALUE_PER_ACRE': {
+                const actual = parseFloat(data.SumOfACTUALVALUE);
+                const acres = feature ? this.getFeatureAreaAcres(feature) : 0;
+                return actual > 0 && acres > 0 ? actual / acres : null;
+            }
+            case 'VALUE_CHANGE':
+            case 'VALUE_CHANGE_PCT': {
+                const change = parcelInfo.account ? this.getValueChange(parcelInfo.account) : null;
+                if (!change) return null;
+                return attribute === 'VALUE_CHANGE' ? change.difference : change.percent;
+            }
+            default:
+                return positive(parseFloat(data[attribute]));
+        }
+    }
+
+    getFeatureAreaAcres(feature) {
+        if (this.areaCache.has(feature)) return this.areaCache.get(feature);
+        
+        // Prefer an acreage attribute from the parcel export, else measure the polygon
+        const props = feature.properties || {};
+        const acreField = ['ACRES', 'GISACRES', 'GISAcres', 'CALC_ACRES', 'Acres'].find(field => parseFloat(props[field]) > 0);
+        const acres = acreField ? parseFloat(props[acreField]) : this.getGeodesicArea(this.getSourceGeometry(feature)) / 4046.8564224;
+        
+        this.areaCache.set(feature, acres);
+        return acres;
+    }
+
+    getGeodesicArea(geometry) {
+        // Spherical polygon area in square meters, outer rings minus holes
+        if (!geometry) return 0;
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates
+            : [];
+        
+        const earthRadius = 6378137;
+        const toRad = Math.PI / 180;
+        const ringArea = (ring) => {
+            let area = 0;
+            for (let i = 0; i < ring.length; i++) {
+                const [lng1, lat1] = ring[i];
+                const [lng2, lat2] = ring[(i + 1) % ring.length];
+                area += (lng2 - lng1) * toRad * (2 + Math.sin(lat1 * toRad) + Math.sin(lat2 * toRad));
+            }
+            return Math.abs((area * earthRadius * earthRadius) / 2);
+        };
+        
+        return polygons.reduce((total, rings) =>
+            total + ringArea(rings[0]) - rings.slice(1).reduce((holes, hole) => holes + ringArea(hole), 0), 0);
+    }
+
+    refreshLegendCounts() {
+        this.legendCounts = {};
+        if (!this.parcelsLayer) return;
+        
+        const isCategorical = !!this.categoricalConfig[this.colorBy];
+        
+        this.parcelsLayer.eachLayer(layer => {
+            const parcelInfo = this.getParcelData(layer.feature, this.accountField);
+            if (this.filters.length > 0 && !this.matchesFilters(parcelInfo, layer.feature)) return;
+            
+            const category = isCategorical
+                ? this.getParcelCategory(parcelInfo)
+                : this.getValueClassIndex(this.getNumericValue(this.colorBy, parcelInfo, layer.feature));
+            if (category !== null) {
+                this.legendCounts[category] = (this.legendCounts[category] || 0) + 1;
+            }
+        });
+    }
+
+    collectValues(attribute) {
+        // Values from every drawn parcel (property or parcel data), or straight
+        // from the property table when no parcel geometry is loaded
+        const values = [];
+        
+        if (this.parcelFeatures.length > 0) {
+            this.parcelFeatures.forEach(feature => {
+                const value = this.getNumericValue(attribute, this.getParcelData(feature, this.accountField), feature);
+                if (value !== null) values.push(value);
+            });
+        } else {
+            this.propertyData.forEach(record => {
+                const value = this.getNumericValue(attribute, { source: 'property', data: record }, null);
+                if (value !== null) values.push(value);
+            });
+        }
+        
+        return values.sort((a, b) => a - b);
+    }
+
+    updateValueClasses() {
+        const config = this.numericConfig[this.colorBy];
+        if (!config) {
+            this.valueClasses = null;
+            return;
+        }
+        
+        const values = this.collectValues(this.colorBy);
+        const { method, classCount } = this.classification;
+        
+        if (values.length === 0) {
+            this.valueClasses = null;
+            return;
+        }
+        
+        if (config.eras) {
+            // Fixed era breaks, trimmed to the years actually present
+            const min = values[0];
+            const max = values[values.length - 1];
+            const breaks = [min].concat(config.eras.filter(year => year > min && year <= max), [max]);
+            this.valueClasses = {
+                method: 'era',
+                breaks,
+                colors: this.interpolatePalette(config.palette, breaks.length - 1)
+            };
+        } else if (config.diverging) {
+            // Equal steps either side of zero, out to the 98th percentile change
+            // so a few extreme parcels don't flatten the rest; end classes are open
+            const magnitudes = values.map(Math.abs).sort((a, b) => a - b);
+            const limit = this.getPercentile(magnitudes, 0.98) || 1;
+            const breaks = [-1, -2 / 3, -1 / 3, 0, 1 / 3, 2 / 3, 1].map(step => step * limit);
+            breaks[0] = Math.min(values[0], breaks[0]);
+            breaks[breaks.length - 1] = Math.max(values[values.length - 1], breaks[breaks.length - 1]);
+            this.valueClasses = {
+                method: 'diverging',
+                breaks,
+                colors: this.interpolatePalette(this.changePalette, breaks.length - 1)
+            };
+        } else if (method === 'continuous') {
+            // Stretch the ramp between the 2nd and 98th percentiles so a few
+            // extreme parcels don't wash out the rest of the county
+            this.valueClasses = {
+                method,
+                min: this.getPercentile(values, 0.02),
+                max: this.getPercentile(values, 0.98)
+            };
+        } else {
+            const breaks = this.computeClasses(values, method, classCount);
+            this.valueClasses = {
+                method,
+                breaks,
+                colors: this.interpolatePalette(this.valuePalette, breaks.length - 1)
+            };
+        }
+        
+        console.log(`Value classes for ${this.colorBy} (${this.valueClasses.method}):`, this.valueClasses);
+    }
+
+    computeClasses(sortedValues, method, classCount) {
+        // Returns class breaks [min, b1, ..., max]; class i covers breaks[i]..breaks[i + 1]
+        const min = sortedValues[0];
+        const max = sortedValues[sortedValues.length - 1];
+        let breaks;
+        
+        // Every value the same (e.g. a narrow filter) - one class covering it
+        if (min === max) return [min, max];
+        
+        if (method === 'equal') {
+            breaks = [];
+            for (let i = 0; i <= classCount; i++) {
+                breaks.push(min + ((max - min) * i) / classCount);
+            }
+        } else if (method === 'jenks') {
+            breaks = this.computeJenksBreaks(sortedValues, classCount);
+        } else {
+            breaks = [min];
+            for (let i = 1; i < classCount; i++) {
+                breaks.push(this.getPercentile(sortedValues, i / classCount));
+            }
+            breaks.push(max);
+        }
+        
+        // Heavily repeated values can collapse quantile breaks - drop the duplicates
+        return breaks.filter((value, index) => index === 0 || value > breaks[index - 1]);
+    }
+
+    computeJenksBreaks(sortedValues, classCount) {
+        // Fisher-Jenks optimal breaks. The dynamic program is O(k·n²), so large
+        // inputs are reduced to an evenly spaced sample of the sorted values
+        const maxSample = 1000;
+        let data = sortedValues;
+        if (data.length > maxSample) {
+            data = [];
+            for (let i = 0; i < maxSample; i++) {
+                data.push(sortedValues[Math.round((i * (sortedValues.length - 1)) / (maxSample - 1))]);
+            }
+        }
+        
+        const n = data.length;
+        const k = Math.min(classCount, n);
+        const lowerClassLimits = [];
+        const varianceCombinations = [];
+        
+        for (let i = 0; i <= n; i++) {
+            lowerClassLimits.push(new Array(k + 1).fill(0));
+            varianceCombinations.push(new Array(k + 1).fill(i === 0 ? 0 : Infinity));
+        }
+        for (let j = 1; j <= k; j++) {
+            lowerClassLimits[1][j] = 1;
+            varianceCombinations[1][j] = 0;
+        }
+        
+        for (let l = 2; l <= n; l++) {
+            let sum = 0;
+            let sumSquares = 0;
+            let count = 0;
+            let variance = 0;
+            
+            for (let m = 1; m <= l; m++) {
+                const lowerIndex = l - m + 1;
+                const value = data[lowerIndex - 1];
+                count++;
+                sum += value;
+                sumSquares += value * value;
+                variance = sumSquares - (sum * sum) / count;
+                
+                if (lowerIndex > 1) {
+                    for (let j = 2; j <= k; j++) {
+                        const candidate = variance + varianceCombinations[lowerIndex - 1][j - 1];
+                        if (varianceCombinations[l][j] >= candidate) {
+                            lowerClassLimits[l][j] = lowerIndex;
+                            varianceCombinations[l][j] = candidate;
+                        }
+                    }
+                }
+            }
+            
+            lowerClassLimits[l][1] = 1;
+            varianceCombinations[l][1] = variance;
+        }
+        
+        const breaks = new Array(k + 1);
+        breaks[k] = sortedValues[sortedValues.length - 1];
+        breaks[0] = sortedValues[0];
+        let upper = n;
+        for (let j = k; j >= 2; j--) {
+            const lowerIndex = lowerClassLimits[upper][j] - 1;
+            breaks[j - 1] = data[lowerIndex];
+            upper = lowerIndex;
+        }
+        return breaks;
+    }
+
+    getPercentile(sortedValues, fraction) {
+        const index = Math.min(sortedValues.length - 1, Math.floor(fraction * sortedValues.length));
+        return sortedValues[index];
+    }
+
+    getValueClassIndex(value) {
+        const classes = this.valueClasses;
+        if (!classes || value === null || classes.method === 'continuous') return null;
+        
+        // Upper break is inclusive for the last class only
+        const { breaks } = classes;
+        if (breaks.length < 2) return null;
+        for (let i = 1; i < breaks.length - 1; i++) {
+            if (value < breaks[i]) return i - 1;
+        }
+        return breaks.length - 2;
+    }
+
+    getValueColor(value) {
+        const classes = this.valueClasses;
+        if (!classes || value === null) return null;
+        
+        if (classes.method === 'continuous') {
+            const range = classes.max - classes.min;
+            const t = range > 0 ? Math.min(1, Math.max(0, (value - classes.min) / range)) : 1;
+            return this.getRampColor(this.valuePalette, t);
+        }
+        
+        return classes.colors[this.getValueClassIndex(value)];
+    }
+
+    getRampColor(palette, t) {
+        const position = t * (palette.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, palette.length - 1);
+        return this.interpolateColor(palette[lower], palette[upper], position - lower);
+    }
+
+    getValueClassLabel(index) {
+        const { breaks, method } = this.valueClasses;
+        const lastIndex = breaks.length - 2;
+        
+        if (method === 'diverging') {
+            if (index === 0) return `Under ${this.formatNumericValue(breaks[1])}`;
+            if (index === lastIndex) return `Over ${this.formatNumericValue(breaks[index])}`;
+            return `${this.formatNumericValue(breaks[index])} to ${this.formatNumericValue(breaks[index + 1])}`;
+        }
+        
+        if (method === 'era') {
+            if (lastIndex === 0) return `${breaks[0]} - ${breaks[1]}`;
+            if (index === 0) return `Before ${breaks[1]}`;
+            if (index === lastIndex) return `${breaks[index]} or later`;
+            return `${breaks[index]} - ${breaks[index + 1] - 1}`;
+        }
+        
+        return `${this.formatNumericValue(breaks[index])} - ${this.formatNumericValue(breaks[index + 1])}`;
+    }
+
+    formatNumericValue(value, attribute = this.colorBy) {
+        const config = this.numericConfig[attribute] || {};
+        if (config.diverging && value !== 0) {
+            const sign = value < 0 ? '−' : '+';
+            return sign + this.formatNumericValue(Math.abs(value), attribute === 'VALUE_CHANGE_PCT' ? 'ASSESSED_RATIO' : 'SumOfACTUALVALUE');
+        }
+        if (config.format === 'percent') return `${(value * 100).toFixed(2)}%`;
+        if (config.format === 'year') return String(Math.round(value));
+        return this.formatCurrency(value);
+    }
+
+    escapeHtml(value) {
+        // For text from data files, which may be a local file the user dropped in
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    formatCurrency(value) {
+        // Compact labels for the legend: $850K, $1.2M
+        if (value >= 1000000) return `$${(value / 1000000).toFixed(value >= 10000000 ? 0 : 1)}M`;
+        if (value >= 1000) return `$${Math.round(value / 1000)}K`;
+        return `$${Math.round(value)}`;
+    }
+
+    getParcelStyle(feature, accountField) {
+        const parcelInfo = this.getParcelData(feature, accountField);
+        
+        // Parcels not built yet at the slider year are hidden outright
+        if (this.builtYear !== null && !this.isBuiltBy(parcelInfo, feature, this.builtYear)) {
+            return this.hiddenStyle;
+        }
+        
+        // Parcels outside the active filters are dimmed regardless of color-by
+        if (this.filters.length > 0 && !this.matchesFilters(parcelInfo, feature)) {
+            return this.dimmedStyle;
+        }
+        
+        // For categorical attributes, only show parcels that have property data
+        if (this.categoricalConfig[this.colorBy]) {
+            const category = this.getParcelCategory(parcelInfo);
+            
+            if (category === null) {
+                // No property data - invisible and not clickable
+                return this.hiddenStyle;
+            }
+            
+            if (category === 'uncategorized') {
+                // Property record exists but the value is blank or unmapped -
+                // draw it as uncategorized so it stays visible and counted
+                return {
+                    color: this.uncategorizedColor,
+                    weight: 1,
+                    fillColor: this.uncategorizedColor,
+                    fillOpacity: 0.6,
+                    interactive: true
+                };
+            }
+            
+            // Has data - show with color
+            const scheme = this.colorSchemes[this.colorBy];
+            return {
+                color: scheme[category],
+                weight: 1,
+                fillColor: scheme[category],
+                fillOpacity: 0.8,
+                interactive: true
+            };
+        }
+        
+        // For numeric attributes, use hybrid approach (property + parcel data)
+        if (this.numericConfig[this.colorBy]) {
+            if (!parcelInfo) {
+                return this.hiddenStyle;
+            }
+            
+            const value = this.getNumericValue(this.colorBy, parcelInfo, feature);
+            const color = this.getValueColor(value);
+            
+            if (value === null || !color) {
+                // No value data - invisible and not clickable
+                return this.hiddenStyle;
+            }
+            
+            return {
+                color: color,
+                weight: 1,
+                fillColor: color,
+                fillOpacity: 0.8,
+                interactive: true
+            };
+        }
+        
+        // Fallback - transparent
+        return this.hiddenStyle;
+    }
+
+    addParcelInteractions(feature, layer, accountField) {
+        const parcelInfo = this.getParcelData(feature, accountField);
+        
+        // Tooltip on hover
+        layer.bindTooltip(this.escapeHtml(parcelInfo.account), {
+            permanent: false,
+            direction: 'center'
+        });
+        
+        // Clicking a parcel makes it the selected parcel (export, shared links);
+        // shift-click adds it to or removes it from the multi-parcel selection
+        layer.on('click', (e) => {
+            if (this.selectionTool || e.originalEvent.shiftKey) {
+                this.suppressPopup = true;
+                if (!this.selectionTool) this.toggleSelection(layer);
+                return;
+            }
+            this.highlightParcel(layer);
+            this.setSelection([layer]);
+            this.revealTableRow(layer);
+        });
+        layer.on('popupopen', (e) => {
+            if (this.suppressPopup) {
+                this.suppressPopup = false;
+                layer.closePopup();
+                return;
+            }
+            const compsButton = e.popup.getElement().querySelector('.comps-action');
+            if (compsButton) compsButton.onclick = () => this.showComparables(layer);
+        });
+        
+        // Popup content is built when it opens - areas and joins for every
+        // parcel up front would only slow down loading
+        layer.bindPopup(() => this.buildParcelPopup(feature, accountField));
+    }
+
+    buildParcelPopup(feature, accountField) {
+        const parcelInfo = this.getParcelData(feature, accountField);
+        const addressInfo = this.addressData.get(parcelInfo.account);
+        
+        // Property values may come from a local file loaded by the user
+        let popupContent = `<strong>Parcel Information</strong><br>`;
+        popupContent += `Account: ${this.escapeHtml(parcelInfo.account)}<br>`;
+        popupContent += `Parcel #: ${this.escapeHtml(feature.properties.ParcelNumb || 'N/A')}<br>`;
+        popupContent += `Owner: ${this.escapeHtml(feature.properties.OWNERNAME || 'N/A')}<br>`;
+        popupContent += `Property Location: ${this.escapeHtml(feature.properties.PROPERTYLO || 'N/A')}<br>`;
+        
+        popupContent += `<br><strong>Property Data</strong><br>`;
+        popupContent += `Data Source: ${parcelInfo.source}<br>`;
+        popupContent += `Situs: ${this.escapeHtml(parcelInfo.data.SITUS || 'N/A')}<br>`;
+        popupContent += `Subdivision: ${this.escapeHtml(parcelInfo.data.SUBNAME || 'N/A')}<br>`;
+        
+        if (parcelInfo.source === 'property') {
+            popupContent += `View: ${this.escapeHtml(parcelInfo.data.ATTRIBUTESUBTYPE || 'N/A')}<br>`;
+            popupContent += `Quality: ${this.escapeHtml(parcelInfo.data['EXT CONDITION'] || 'N/A')}<br>`;
+            popupContent += `Interior: ${this.escapeHtml(this.normalizeCategory('INT CONDITION', parcelInfo.data['INT CONDITION']) || 'N/A')}<br>`;
+        } else {
+            popupContent += `View: ${this.escapeHtml(parcelInfo.data.ATTRIBUTESUBTYPE || 'N/A')}<br>`;
+            popupContent += `Quality: ${this.escapeHtml(parcelInfo.data['EXT CONDITION'] || 'N/A')}<br>`;
+        }
+        
+        popupContent += `Value: $${(parseFloat(parcelInfo.data.SumOfACTUALVALUE) || 0).toLocaleString()}<br>`;
+        popupContent += `Year Built: ${this.escapeHtml(parcelInfo.data.AYB || 'N/A')}<br>`;
+        
+        const assessed = this.getNumericValue('SumOfRAWASSESSEDVALUE', parcelInfo, feature);
+        if (assessed !== null) {
+            const ratio = this.getNumericValue('ASSESSED_RATIO', parcelInfo, feature);
+            popupContent += `Assessed: $${assessed.toLocaleString()}`;
+            popupContent += ratio !== null ? ` (${(ratio * 100).toFixed(1)}%)<br>` : '<br>';
+        }
+        
+        const acres = this.getFeatureAreaAcres(feature);
+        if (acres > 0) {
+            popupContent += `Area: ${acres.toFixed(2)} acres<br>`;
+            const perAcre = this.getNumericValue('VALUE_PER_ACRE', parcelInfo, feature);
+            if (perAcre !== null) popupContent += `Value per Acre: $${Math.round(perAcre).toLocaleString()}<br>`;
+        }
+        
+        const valueHistory = this.getValueHistory(parcelInfo.account);
+        if (valueHistory.length > 1) {
+            popupContent += `<br><strong>Value by Tax Year</strong>`;
+            popupContent += `<table class="yoy-table"><tr><th>Year</th><th>Total Value</th><th>Change</th></tr>`;
+            valueHistory.forEach((entry, index) => {
+                const previous = valueHistory[index - 1];
+                let change = '';
+                if (previous && previous.value > 0) {
+                    const difference = entry.value - previous.value;
+                    change = `${this.formatNumericValue(difference, 'VALUE_CHANGE')} (${this.formatNumericValue(difference / previous.value, 'VALUE_CHANGE_PCT')})`;
+                }
+                popupContent += `<tr><td>${entry.year}</td><td>$${Math.round(entry.value).toLocaleString()}</td><td>${change}</td></tr>`;
+            });
+            popupContent += `</table>`;
+        }
+        
+        if (addressInfo) {
+            popupContent += `<br><strong>Address Info</strong><br>`;
+            popupContent += `Label: ${this.escapeHtml(addressInfo.Label || 'N/A')}<br>`;
+            popupContent += `Vacant: ${this.escapeHtml(addressInfo.Vacant || 'N/A')}<br>`;
+        }
+        
+        // Comparables need the property record's quality, view and year built
+        if (parcelInfo.source === 'property') {
+            popupContent += `<button type="button" class="panel-button popup-action comps-action">Find comparables</button>`;
+        }
+        
+        return popupContent;
+    }
+
+    setupEventListeners() {
+        console.log('Setting up fixed colors event listeners...');
+        
+        // Color by dropdown
+        const colorBySelect = document.getElementById('color-by');
+        
+        if (colorBySelect) {
+            console.log('Color select element found');
+            
+            // Remove any existing listeners
+            colorBySelect.removeEventListener('change', this.handleColorChange);
+            
+            // Add new listener
+            this.handleColorChange = (e) => {
+                console.log('Dropdown changed to:', e.target.value);
+                this.colorBy = e.target.value;
+                this.updateValueClasses();
+                this.updateMapColors();
+            };
+            
+            colorBySelect.addEventListener('change', this.handleColorChange);
+            
+            // Initial legend update
+            this.refreshLegendCounts();
+            this.updateLegend();
+            console.log('Event listeners set up successfully');
+        } else {
+            console.error('⚠️ Color select element not found!');
+        }
+        
+        // Classification method and class count
+        const methodSelect = document.getElementById('classification-method');
+        const classCountSelect = document.getElementById('class-count');
+        
+        if (methodSelect && classCountSelect) {
+            methodSelect.value = this.classification.method;
+            classCountSelect.value = String(this.classification.classCount);
+            classCountSelect.disabled = this.classification.method === 'continuous';
+            
+            methodSelect.addEventListener('change', (e) => {
+                this.classification.method = e.target.value;
+                classCountSelect.disabled = e.target.value === 'continuous';
+                this.updateValueClasses();
+                this.updateMapColors();
+            });
+            classCountSelect.addEventListener('change', (e) => {
+                this.classification.classCount = parseInt(e.target.value, 10);
+                this.updateValueClasses();
+                this.updateMapColors();
+            });
+        }
+        
+        // Tax years for the value change modes
+        this.setupChangeYears();
+        
+        // Attribute filters
+        this.setupFilterPanel();
+        
+        // Year-built time slider
+        this.setupBuiltYearSlider();
+        
+        // Multi-parcel selection tools
+        this.setupSelectionTools();
+        
+        // Owner notification lists for a subject parcel
+        this.setupNotificationPanel();
+        
+        // Comparable property finder (opened from a parcel popup)
+        this.setupCompsPanel();
+        
+        // Statistics dashboard
+        this.setupStatsPanel();
+        
+        // Subdivision choropleth
+        this.setupSubdivisionMode();
+        
+        // Export buttons
+        this.setupExportControls();
+        
+        // Local CSV / GeoJSON files (file picker or drag and drop)
+        this.setupFileImport();
+        
+        // Attribute table
+        this.setupAttributeTable();
+        
+        // Add toggle for address layer (optional)
+        this.addAddressToggle();
+        
+        // Add place navigator
+        this.setupPlaceNavigator();
+        
+        // Add parcel search
+        this.setupParcelSearch();
+        
+        // Restore filters, layers and selection from the link, then keep the hash current
+        this.restoreUrlState(this.urlState);
+        this.map.on('moveend', () => {
+            this.scheduleUrlStateUpdate();
+            if (this.statsScope === 'extent') this.renderStatsPanel();
+        });
+        window.addEventListener('hashchange', () => {
+            this.urlState = this.readUrlState();
+            this.applyUrlDisplayState(this.urlState);
+            // Linked tax years that aren't loaded fall back to the latest two
+            this.resetChangeYears();
+            this.checkChangeColorBy();
+            this.updateChangeYearControls();
+            if (this.urlState.view) {
+                this.map.setView([this.urlState.view.lat, this.urlState.view.lng], this.urlState.view.zoom);
+            }
+            this.updateValueClasses();
+            this.restoreUrlState(this.urlState);
+        });
+    }
+
+    setupBuiltYearSlider() {
+        const slider = document.getElementById('built-year');
+        const playButton = document.getElementById('built-year-play');
+        const resetButton = document.getElementById('built-year-reset');
+        if (!slider || !playButton || !resetButton) {
+            console.error('⚠️ Year built slider not found!');
+            return;
+        }
+        
+        // Runs from the earliest recorded year built to this year
+        const years = this.collectValues('AYB');
+        if (years.length === 0) {
+            [slider, playButton, resetButton].forEach(control => { control.disabled = true; });
+            return;
+        }
+        slider.min = String(years[0]);
+        slider.max = String(new Date().getFullYear());
+        
+        slider.addEventListener('input', () => {
+            this.stopBuiltYearAnimation();
+            this.setBuiltYear(parseInt(slider.value, 10));
+        });
+        playButton.addEventListener('click', () => {
+            if (this.builtYearTimer) {
+                this.stopBuiltYearAnimation();
+                this.refreshAttributeTable();
+                this.renderStatsPanel();
+            } else {
+                this.startBuiltYearAnimation();
+            }
+        });
+        resetButton.addEventListener('click', () => {
+            this.stopBuiltYearAnimation();
+            this.setBuiltYear(null);
+        });
+        
+        this.updateBuiltYearControls();
+    }
+
+    isBuiltBy(parcelInfo, feature, year) {
+        // Parcels with no year built (vacant land, placeholders) count as unbuilt
+        const built = this.getNumericValue('AYB', parcelInfo, feature);
+        return built !== null && built <= year;
+    }
+
+    setBuiltYear(year) {
+        this.builtYear = year;
+        
+        // This runs on every animation step, so the legend is left alone and
+        // the table and statistics only follow once the animation stops
+        if (this.parcelsLayer) {
+            this.restyleParcels(() => {
+                if (this.builtYearTimer) return;
+                this.refreshAttributeTable();
+                this.renderStatsPanel();
+            });
+        }
+        this.updateBuiltYearControls();
+        this.scheduleUrlStateUpdate();
+    }
+
+    updateBuiltYearControls() {
+        const slider = document.getElementById('built-year');
+        const label = document.getElementById('built-year-label');
+        const summary = document.getElementById('built-year-summary');
+        const playButton = document.getElementById('built-year-play');
+        if (!slider || !label || !summary || !playButton) return;
+        
+        slider.value = String(this.builtYear === null ? slider.max : this.builtYear);
+        label.textContent = this.builtYear === null ? 'All' : String(this.builtYear);
+        playButton.textContent = this.builtYearTimer ? 'Pause' : 'Play';
+        
+        if (this.builtYear === null) {
+            summary.textContent = 'Showing all parcels';
+            return;
+        }
+        let count = 0;
+        this.parcelFeatures.forEach(feature => {
+            if (this.isBuiltBy(this.getParcelData(feature, this.accountField), feature, this.builtYear)) count++;
+        });
+        summary.textContent = `${count.toLocaleString()} parcels built by ${this.builtYear}`;
+    }
+
+    startBuiltYearAnimation() {
+        const slider = document.getElementById('built-year');
+        const firstYear = parseInt(slider.min, 10);
+        const lastYear = parseInt(slider.max, 10);
+        
+        // Resume from the slider year, or start over once it has reached the end
+        let year = this.builtYear === null || this.builtYear >= lastYear ? firstYear : this.builtYear;
+        this.builtYearTimer = setInterval(() => {
+            year++;
+            if (year >= lastYear) this.stopBuiltYearAnimation();
+            this.setBuiltYear(Math.min(year, lastYear));
+        }, this.builtYearStepMs);
+        this.setBuiltYear(year);
+    }
+
+    stopBuiltYearAnimation() {
+        if (!this.builtYearTimer) return;
+        clearInterval(this.builtYearTimer);
+        this.builtYearTimer = null;
+        this.updateBuiltYearControls();
+    }
+
+    setupChangeYears() {
+        const fromSelect = document.getElementById('change-from');
+        const toSelect = document.getElementById('change-to');
+        const colorBySelect = document.getElementById('color-by');
+        if (!fromSelect || !toSelect || !colorBySelect) {
+            console.error('⚠️ Change year controls not found!');
+            return;
+        }
+        
+        // The change modes need at least two tax years (see `history` in datasets_config.js)
+        const years = this.getPropertyYears();
+        Array.from(colorBySelect.options).forEach(option => {
+            const config = this.numericConfig[option.value];
+            if (config && config.diverging) option.disabled = years.length < 2;
+        });
+        
+        const options = years.map(year => `<option value="${year}">${year}</option>`).join('');
+        fromSelect.innerHTML = options;
+        toSelect.innerHTML = options;
+        this.updateChangeYearControls();
+        
+        const handleYearChange = () => {
+            const from = parseInt(fromSelect.value, 10);
+            const to = parseInt(toSelect.value, 10);
+            // Comparing a year with itself makes every change zero, as resetChangeYears knows
+            if (from === to) {
+                this.updateChangeYearControls();
+                return;
+            }
+            this.changeYears = { from, to };
+            this.updateChangeYearControls();
+            this.updateValueClasses();
+            this.updateMapColors();
+        };
+        fromSelect.addEventListener('change', handleYearChange);
+        toSelect.addEventListener('change', handleYearChange);
+    }
+
+    updateChangeYearControls() {
+        const fromSelect = document.getElementById('change-from');
+        const toSelect = document.getElementById('change-to');
+        if (!fromSelect || !toSelect) return;
+        fromSelect.value = String(this.changeYears.from);
+        toSelect.value = String(this.changeYears.to);
+        // Each select leaves out the year chosen in the other
+        Array.from(fromSelect.options).forEach(option => { option.disabled = option.value === toSelect.value; });
+        Array.from(toSelect.options).forEach(option => { option.disabled = option.value === fromSelect.value; });
+    }
+
+    addAddressToggle() {
+        // Create a simple toggle button for address points
+        const toggleButton = document.createElement('button');
+        toggleButton.innerHTML = 'Show Address Points';
+        toggleButton.style.cssText = `
+            position: absolute;
+            top: 10px;
+            right: 10px;
+            z-index: 1000;
+            background: #224428;
+            color: white;
+            border: none;
+            padding: 8px 12px;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 12px;
+        `;
+        
+        toggleButton.addEventListener('click', () => {
+            this.setOverlayVisible('addresses', !this.map.hasLayer(this.addressLayer));
+        });
+        
+        this.addressToggleButton = toggleButton;
+        document.body.appendChild(toggleButton);
+    }
+
+    getOverlayLayers() {
+        return {
+            towns: this.townLayer,
+            subdivisions: this.subdivisionLayer,
+            addresses: this.addressLayer
+        };
+    }
+
+    setOverlayVisible(name, visible) {
+        const layer = this.getOverlayLayers()[name];
+        if (!layer) return;
+        
+        if (visible && !this.map.hasLayer(layer)) {
+            this.map.addLayer(layer);
+        } else if (!visible && this.map.hasLayer(layer)) {
+            this.map.removeLayer(layer);
+        }
+        
+        if (name === 'addresses' && this.addressToggleButton) {
+            this.addressToggleButton.innerHTML = visible ? 'Hide Address Points' : 'Show Address Points';
+        }
+        this.scheduleUrlStateUpdate();
+    }
+
+    readUrlState() {
+        // Hash format: #map=zoom/lat/lng&color=AYB&class=quantile-5&layers=towns,subdivisions
+        //              &filters=<json>&parcel=R000942&years=2024-2025&built=1985
+        const state = {};
+        const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+        
+        const view = (params.get('map') || '').split('/').map(parseFloat);
+        if (view.length === 3 && view.every(number => !isNaN(number))) {
+            state.view = { zoom: view[0], lat: view[1], lng: view[2] };
+        }
+        if (params.has('color')) state.colorBy = params.get('color');
+        if (params.has('class')) {
+            const [method, classCount] = params.get('class').split('-');
+            state.classification = { method, classCount: parseInt(classCount, 10) };
+        }
+        if (params.has('layers')) {
+            state.layers = params.get('layers').split(',').filter(name => name);
+        }
+        if (params.has('filters')) {
+            try {
+                state.filters = JSON.parse(params.get('filters'));
+            } catch (error) {
+                console.warn('⚠️ Ignoring unreadable filters in URL:', error);
+            }
+        }
+        if (params.has('parcel')) state.parcel = params.get('parcel');
+        if (params.has('subdiv')) state.subdivisionStat = params.get('subdiv');
+        if (params.has('built')) state.builtYear = parseInt(params.get('built'), 10);
+        if (params.has('years')) {
+            const [from, to] = params.get('years').split('-').map(year => parseInt(year, 10));
+            state.changeYears = { from, to };
+        }
+        
+        return state;
+    }
+
+    applyUrlDisplayState(state) {
+        // Settings that must be in place before parcels are styled
+        if (state.colorBy && (this.categoricalConfig[state.colorBy] || this.numericConfig[state.colorBy])) {
+            this.colorBy = state.colorBy;
+        }
+        if (state.classification) {
+            const { method, classCount } = state.classification;
+            if (['equal', 'quantile', 'jenks', 'continuous'].includes(method)) this.classification.method = method;
+            if (classCount >= 3 && classCount <= 9) this.classification.classCount = classCount;
+        }
+        // Checked against the loaded tax years in resetChangeYears
+        if (state.changeYears) this.changeYears = state.changeYears;
+        this.builtYear = Number.isFinite(state.builtYear) ? state.builtYear : null;
+        
+        const colorBySelect = document.getElementById('color-by');
+        const methodSelect = document.getElementById('classification-method');
+        const classCountSelect = document.getElementById('class-count');
+        if (colorBySelect) colorBySelect.value = this.colorBy;
+        if (methodSelect) methodSelect.value = this.classification.method;
+        if (classCountSelect) {
+            classCountSelect.value = String(this.classification.classCount);
+            classCountSelect.disabled = this.classification.method === 'continuous';
+        }
+    }
+
+    restoreUrlState(state) {
+        if (state.layers) {
+            Object.keys(this.getOverlayLayers()).forEach(name => {
+                this.setOverlayVisible(name, state.layers.includes(name));
+            });
+        }
+        this.setSubdivisionStat(this.subdivisionStats[state.subdivisionStat] ? state.subdivisionStat : null);
+        this.stopBuiltYearAnimation();
+        this.updateBuiltYearControls();
+        
+        if (Array.isArray(state.filters)) {
+            this.panelFilters = state.filters
+                .filter(filter => filter && this.filterFields.has(filter.field))
+                .map(filter => ({
+                    field: filter.field,
+                    type: this.filterFields.get(filter.field).type,
+                    min: typeof filter.min === 'number' ? filter.min : null,
+                    max: typeof filter.max === 'number' ? filter.max : null,
+                    maxExclusive: filter.maxExclusive === true,
+                    values: Array.isArray(filter.values) ? filter.values : [],
+                    text: typeof filter.text === 'string' ? filter.text : ''
+                }));
+            this.renderFilterList();
+        }
+        this.applyFilters();
+        
+        if (state.parcel) {
+            const layer = this.parcelLayers.get(this.normalizeKey(state.parcel, this.datasetConfig.parcels.keyNormalization));
+            if (!layer) {
+                console.warn(`⚠️ Linked parcel ${state.parcel} not found`);
+            } else if (state.view) {
+                // Keep the linked view, just mark the parcel
+                this.highlightParcel(layer);
+                layer.openPopup();
+            } else {
+                this.selectParcel(layer);
+            }
+        }
+    }
+
+    scheduleUrlStateUpdate() {
+        // Batch bursts of changes (panning, restyling) into one history update
+        clearTimeout(this.urlStateTimer);
+        this.urlStateTimer = setTimeout(() => this.writeUrlState(), 300);
+    }
+
+    writeUrlState() {
+        if (!this.map) return;
+        
+        const center = this.map.getCenter();
+        const params = [
+            `map=${this.map.getZoom()}/${center.lat.toFixed(5)}/${center.lng.toFixed(5)}`,
+            `color=${encodeURIComponent(this.colorBy)}`,
+            `class=${this.classification.method}-${this.classification.classCount}`
+        ];
+        
+        const overlays = this.getOverlayLayers();
+        const visibleLayers = Object.keys(overlays).filter(name => overlays[name] && this.map.hasLayer(overlays[name]));
+        params.push(`layers=${visibleLayers.join(',')}`);
+        if (this.subdivisionStat) params.push(`subdiv=${this.subdivisionStat}`);
+        if (this.builtYear !== null) params.push(`built=${this.builtYear}`);
+        if (this.numericConfig[this.colorBy] && this.numericConfig[this.colorBy].diverging) {
+            params.push(`years=${this.changeYears.from}-${this.changeYears.to}`);
+        }
+        
+        const activeFilters = this.panelFilters.filter(filter => this.isFilterActive(filter));
+        if (activeFilters.length > 0) {
+            const compact = activeFilters.map(filter => {
+                const entry = { field: filter.field };
+                if (filter.type === 'range') {
+                    if (filter.min !== null) entry.min = filter.min;
+                    if (filter.max !== null) entry.max = filter.max;
+                    if (filter.maxExclusive) entry.maxExclusive = true;
+                } else if (filter.type === 'category') {
+                    entry.values = filter.values;
+                } else {
+                    entry.text = filter.text;
+                }
+                return entry;
+            });
+            params.push(`filters=${encodeURIComponent(JSON.stringify(compact))}`);
+        }
+        
+        if (this.highlightedLayer) {
+            const account = this.getParcelKey(this.highlightedLayer.feature);
+            if (account) params.push(`parcel=${encodeURIComponent(account)}`);
+        }
+        
+        // replaceState doesn't fire hashchange, so this won't loop back into restoreUrlState
+        history.replaceState(null, '', `#${params.join('&')}`);
+    }
+
+    setupPlaceNavigator() {
+        const input = document.getElementById('place-search');
+        const results = document.getElementById('place-results');
+        
+        if (!input || !results) {
+            console.error('⚠️ Place navigator elements not found!');
+            return;
+        }
+        
+        const places = Array.from(this.places.values())
+            .sort((a, b) => a.name.localeCompare(b.name));
+        console.log(`Place navigator: ${places.length} towns and subdivisions`);
+        
+        const renderResults = () => {
+            const query = input.value.trim().toUpperCase();
+            const matches = places.filter(place => place.name.toUpperCase().includes(query));
+            
+            results.innerHTML = '';
+            if (matches.length === 0) {
+                results.innerHTML = '<div class="search-empty">No matching places</div>';
+            }
+            
+            matches.forEach(place => {
+                const item = document.createElement('div');
+                item.className = 'search-result';
+                item.innerHTML = `
+                    <span class="search-result-name">${this.escapeHtml(place.name)}</span>
+                    <span class="search-result-type">${this.escapeHtml(place.type)}</span>
+                `;
+                // mousedown fires before the input loses focus and hides the list
+                item.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    this.zoomToPlace(place);
+                    input.value = place.name;
+                    results.classList.remove('open');
+                });
+                results.appendChild(item);
+            });
+            
+            results.classList.add('open');
+            return matches;
+        };
+        
+        input.addEventListener('focus', renderResults);
+        input.addEventListener('input', renderResults);
+        input.addEventListener('blur', () => results.classList.remove('open'));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                const matches = renderResults();
+                if (matches.length > 0) {
+                    this.zoomToPlace(matches[0]);
+                    input.value = matches[0].name;
+                    results.classList.remove('open');
+                }
+            } else if (e.key === 'Escape') {
+                input.blur();
+            }
+        });
+    }
+
+    setupParcelSearch() {
+        const input = document.getElementById('parcel-search');
+        const results = document.getElementById('parcel-results');
+        
+        if (!input || !results) {
+            console.error('⚠️ Parcel search elements not found!');
+            return;
+        }
+        
+        let matches = [];
+        let searchTimer = null;
+        
+        const choose = (match) => {
+            input.value = match.entry.title;
+            results.classList.remove('open');
+            this.selectParcel(match.entry.layer);
+        };
+        
+        const renderResults = () => {
+            const query = input.value.trim();
+            results.innerHTML = '';
+            
+            if (query.length < 2) {
+                matches = [];
+                results.classList.remove('open');
+                return;
+            }
+            
+            matches = this.searchParcels(query);
+            if (matches.length === 0) {
+                results.innerHTML = '<div class="search-empty">No matching parcels</div>';
+            }
+            
+            matches.forEach(match => {
+                const item = document.createElement('div');
+                item.className = 'search-result';
+                item.innerHTML = `
+                    <span class="search-result-name">
+                        ${this.escapeHtml(match.entry.title)}<br>
+                        <small>${this.escapeHtml(match.entry.account)} · ${this.escapeHtml(match.field.text)}</small>
+                    </span>
+                    <span class="search-result-type">${this.escapeHtml(match.field.label)}</span>
+                `;
+                item.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    choose(match);
+                });
+                results.appendChild(item);
+            });
+            
+            results.classList.add('open');
+        };
+        
+        input.addEventListener('input', () => {
+            // Debounce so typing stays responsive on the full parcel index
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(renderResults, 150);
+        });
+        input.addEventListener('focus', renderResults);
+        input.addEventListener('blur', () => results.classList.remove('open'));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                clearTimeout(searchTimer);
+                renderResults();
+                if (matches.length > 0) choose(matches[0]);
+            } else if (e.key === 'Escape') {
+                input.blur();
+            }
+        });
+    }
+
+    selectParcel(layer) {
+        if (!layer) return;
+        
+        this.highlightParcel(layer);
+        this.map.fitBounds(layer.getBounds(), { padding: [40, 40], maxZoom: 18 });
+        layer.openPopup();
+    }
+
+    highlightParcel(layer) {
+        // Restore the thematic (or selection) style of the previous match
+        if (this.highlightedLayer && this.highlightedLayer !== layer) {
+            this.highlightedLayer.setStyle(this.getLayerStyle(this.highlightedLayer));
+        }
+        
+        this.highlightedLayer = layer;
+        if (layer) {
+            layer.setStyle(this.highlightStyle);
+            layer.bringToFront();
+        }
+        if (this.tableState.open) this.renderTableRows();
+        this.renderNotificationSubject();
+        this.scheduleUrlStateUpdate();
+    }
+
+    getLayerStyle(layer) {
+        return this.selectedLayers.has(layer) ? this.selectionStyle : this.getParcelStyle(layer.feature, this.accountField);
+    }
+
+    setupSelectionTools() {
+        const boxButton = document.getElementById('select-box');
+        const lassoButton = document.getElementById('select-lasso');
+        const clearButton = document.getElementById('select-clear');
+        const bufferButton = document.getElementById('select-buffer');
+        
+        if (!boxButton || !lassoButton || !bufferButton) {
+            console.error('⚠️ Selection tool elements not found!');
+            return;
+        }
+        
+        boxButton.addEventListener('click', () => this.setSelectionTool(this.selectionTool === 'box' ? null : 'box'));
+        lassoButton.addEventListener('click', () => this.setSelectionTool(this.selectionTool === 'lasso' ? null : 'lasso'));
+        clearButton.addEventListener('click', () => this.setSelection([]));
+        bufferButton.addEventListener('click', () => {
+            const feet = parseFloat(document.getElementById('buffer-distance').value);
+            if (!this.highlightedLayer) {
+                this.updateSelectionSummary('Click a parcel first, then select its neighbors');
+                return;
+            }
+            if (!(feet >= 0)) return;
+            this.setSelection(this.getLayersWithinDistance(this.highlightedLayer, feet));
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.selectionTool) this.setSelectionTool(null);
+        });
+        
+        // Drawing a box or lasso: press, drag, release
+        this.map.on('mousedown', (e) => {
+            if (!this.selectionTool) return;
+            const style = { color: '#0077B6', weight: 2, dashArray: '5 5', fillOpacity: 0.1, interactive: false };
+            this.selectionShape = this.selectionTool === 'box'
+                ? L.rectangle(L.latLngBounds(e.latlng, e.latlng), style)
+                : L.polygon([e.latlng], style);
+            this.selectionShape.startLatLng = e.latlng;
+            this.selectionShape.addTo(this.map);
+        });
+        this.map.on('mousemove', (e) => {
+            if (!this.selectionShape) return;
+            if (this.selectionTool === 'box') {
+                this.selectionShape.setBounds(L.latLngBounds(this.selectionShape.startLatLng, e.latlng));
+            } else {
+                this.selectionShape.addLatLng(e.latlng);
+            }
+        });
+        this.map.on('mouseup', (e) => {
+            if (!this.selectionShape) return;
+            this.finishSelectionShape(e.originalEvent.shiftKey);
+        });
+        
+        this.updateSelectionSummary();
+    }
+
+    setSelectionTool(tool) {
+        this.selectionTool = tool;
+        document.getElementById('select-box').classList.toggle('active', tool === 'box');
+        document.getElementById('select-lasso').classList.toggle('active', tool === 'lasso');
+        this.map.getContainer().classList.toggle('selecting', !!tool);
+        
+        // The map must not pan (or box-zoom on shift) while a shape is drawn
+        if (tool) {
+            this.map.dragging.disable();
+            this.map.boxZoom.disable();
+        } else {
+            this.map.dragging.enable();
+            this.map.boxZoom.enable();
+            if (this.selectionShape) {
+                this.map.removeLayer(this.selectionShape);
+                this.selectionShape = null;
+            }
+        }
+    }
+
+    finishSelectionShape(additive) {
+        // Parcels are selected by their center point, as in the town statistics;
+        // parcels dimmed by the active filters or hidden by the year-built slider are skipped
+        const shape = this.selectionShape;
+        const ring = this.selectionTool === 'box'
+            ? [shape.getBounds().getSouthWest(), shape.getBounds().getSouthEast(), shape.getBounds().getNorthEast(), shape.getBounds().getNorthWest()]
+            : shape.getLatLngs()[0];
+        const positions = ring.map(latlng => [latlng.lng, latlng.lat]);
+        const shapeBounds = shape.getBounds();
+        
+        const layers = [];
+        if (positions.length >= 3) {
+            this.parcelsLayer.eachLayer(layer => {
+                const center = layer.getBounds().getCenter();
+                if (!shapeBounds.contains(center) || !this.isPointInRing(center.lng, center.lat, positions)) return;
+                const parcelInfo = this.getParcelData(layer.feature, this.accountField);
+                if (this.filters.length > 0 && !this.matchesFilters(parcelInfo, layer.feature)) return;
+                if (this.builtYear !== null && !this.isBuiltBy(parcelInfo, layer.feature, this.builtYear)) return;
+                layers.push(layer);
+            });
+        }
+        
+        this.setSelection(layers, additive);
+        
+        // The click that follows this mouseup must not reselect a single parcel
+        setTimeout(() => this.setSelectionTool(null), 50);
+    }
+
+    getLayersWithinDistance(sourceLayer, feet) {
+        // Parcels whose boundary comes within `feet` of the source parcel's boundary
+        // (adjacent parcels are at distance 0). Distances are measured on a local
+        // flat projection, which is accurate at notification-list distances.
+        const meters = feet * 0.3048;
+        const center = sourceLayer.getBounds().getCenter();
+        const metersPerDegreeLat = 110540;
+        const metersPerDegreeLng = 111320 * Math.cos(center.lat * Math.PI / 180);
+        const project = ([lng, lat]) => [(lng - center.lng) * metersPerDegreeLng, (lat - center.lat) * metersPerDegreeLat];
+        const toPlanarRings = (geometry) => this.getGeometryRings(geometry).map(ring => ring.map(project));
+        
+        const bounds = sourceLayer.getBounds();
+        const latPad = meters / metersPerDegreeLat;
+        const lngPad = meters / metersPerDegreeLng;
+        const searchBounds = L.latLngBounds(
+            [bounds.getSouth() - latPad, bounds.getWest() - lngPad],
+            [bounds.getNorth() + latPad, bounds.getEast() + lngPad]
+        );
+        
+        const sourceRings = toPlanarRings(this.getSourceGeometry(sourceLayer.feature));
+        const layers = [];
+        this.parcelsLayer.eachLayer(layer => {
+            if (layer === sourceLayer || !searchBounds.intersects(layer.getBounds())) return;
+            if (this.getRingsDistance(sourceRings, toPlanarRings(this.getSourceGeometry(layer.feature))) <= meters) {
+                layers.push(layer);
+            }
+        });
+        
+        console.log(`${layers.length} parcels within ${feet} ft of ${this.getParcelKey(sourceLayer.feature)}`);
+        return layers;
+    }
+
+    getGeometryRings(geometry) {
+        if (!geometry) return [];
+        if (geometry.type === 'Polygon') return geometry.coordinates;
+        if (geometry.type === 'MultiPolygon') return geometry.coordinates.flat();
+        return [];
+    }
+
+    getRingsDistance(ringsA, ringsB) {
+        if (ringsA.length === 0 || ringsB.length === 0) return Infinity;
+        
+        // Overlapping or nested polygons
+        const inside = (point, rings) => rings.some(ring => this.isPointInRing(point[0], point[1], ring));
+        if (inside(ringsB[0][0], ringsA) || inside(ringsA[0][0], ringsB)) return 0;
+        
+        let min = Infinity;
+        const pointToRings = (point, rings) => {
+            rings.forEach(ring => {
+                for (let i = 1; i < ring.length; i++) {
+                    min = Math.min(min, this.getPointSegmentDistance(point, ring[i - 1], ring[i]));
+                }
+            });
+        };
+        ringsA.forEach(ring => ring.forEach(point => pointToRings(point, ringsB)));
+        ringsB.forEach(ring => ring.forEach(point => pointToRings(point, ringsA)));
+        return min;
+    }
+
+    getPointSegmentDistance([px, py], [ax, ay], [bx, by]) {
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+        return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+    }
+
+    setSelection(layers, additive = false) {
+        const previous = this.selectedLayers;
+        this.selectedLayers = new Set(additive ? Array.from(previous).concat(layers) : layers);
+        
+        // Only restyle parcels whose selection state changed; the highlight stays on top
+        previous.forEach(layer => {
+            if (!this.selectedLayers.has(layer) && layer !== this.highlightedLayer) {
+                layer.setStyle(this.getParcelStyle(layer.feature, this.accountField));
+            }
+        });
+        this.selectedLayers.forEach(layer => {
+            if (layer !== this.highlightedLayer) layer.setStyle(this.selectionStyle);
+        });
+        
+        this.updateSelectionSummary();
+        if (this.tableState.open) this.renderTableRows();
+    }
+
+    toggleSelection(layer) {
+        const layers = Array.from(this.selectedLayers);
+        this.setSelection(this.selectedLayers.has(layer) ? layers.filter(other => other !== layer) : layers.concat(layer));
+    }
+
+    updateSelectionSummary(message) {
+        const summary = document.getElementById('selection-summary');
+        if (!summary) return;
+        
+        if (message) {
+            summary.textContent = message;
+            return;
+        }
+        if (this.selectedLayers.size === 0) {
+            summary.textContent = 'Shift-click parcels to add them to the selection';
+            return;
+        }
+        
+        const values = [];
+        this.selectedLayers.forEach(layer => {
+            const value = this.getNumericValue('SumOfACTUALVALUE', this.getParcelData(layer.feature, this.accountField), layer.feature);
+            if (value !== null) values.push(value);
+        });
+        const total = values.reduce((sum, value) => sum + value, 0);
+        
+        summary.innerHTML = `
+            <strong>${this.selectedLayers.size.toLocaleString()} parcels selected</strong><br>
+            Total Value: $${Math.round(total).toLocaleString()}<br>
+            Median Value: ${values.length > 0 ? `$${Math.round(this.calculateMedian(values)).toLocaleString()}` : 'N/A'}
+            ${values.length < this.selectedLayers.size ? `<br>${(this.selectedLayers.size - values.length).toLocaleString()} without a value` : ''}
+        `;
+    }
+
+    setupNotificationPanel() {
+        const openButton = document.getElementById('notify-open');
+        const panel = document.getElementById('notify-panel');
+        
+        if (!openButton || !panel) {
+            console.error('⚠️ Notification panel elements not found!');
+            return;
+        }
+        
+        openButton.addEventListener('click', () => {
+            panel.classList.add('open');
+            this.renderNotificationSubject();
+        });
+        panel.querySelector('.side-panel-close').addEventListener('click', () => panel.classList.remove('open'));
+        
+        document.getElementById('notify-build').addEventListener('click', () => {
+            if (!this.highlightedLayer) {
+                alert('No subject parcel. Click or search for the application parcel first.');
+                return;
+            }
+            const feet = parseFloat(document.getElementById('notify-distance').value);
+            if (!(feet >= 0)) return;
+            
+            this.notificationList = this.buildNotificationList(
+                this.highlightedLayer, feet, document.getElementById('notify-include-subject').checked);
+            this.setSelection(this.notificationList.layers);
+            this.renderNotificationList();
+        });
+        document.getElementById('notify-print').addEventListener('click', () => this.printNotificationList());
+        document.getElementById('notify-csv').addEventListener('click', () => this.exportNotificationList());
+    }
+
+    renderNotificationSubject() {
+        const subject = document.getElementById('notify-subject');
+        if (!subject || !document.getElementById('notify-panel').classList.contains('open')) return;
+        
+        if (!this.highlightedLayer) {
+            subject.textContent = 'Click the application parcel on the map';
+            return;
+        }
+        const props = this.highlightedLayer.feature.properties;
+        subject.innerHTML = `<strong>Subject:</strong> ${this.escapeHtml(this.getParcelKey(this.highlightedLayer.feature) || 'No account')}` +
+            `${props.PROPERTYLO ? ` - ${this.escapeHtml(props.PROPERTYLO)}` : ''}<br>${this.escapeHtml(props.OWNERNAME || '')}`;
+    }
+
+    getOwnerKey(ownerName) {
+        // "SMITH, JOHN A." and "Smith John A" are the same addressee
+        return String(ownerName || '').toUpperCase().replace(/[.,]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    buildNotificationList(subjectLayer, feet, includeSubject) {
+        // Every parcel within `feet` of the subject, grouped so each owner gets one notice
+        const layers = this.getLayersWithinDistance(subjectLayer, feet);
+        if (includeSubject) layers.unshift(subjectLayer);
+        
+        const owners = new Map();
+        layers.forEach(layer => {
+            const props = layer.feature.properties;
+            const parcelInfo = this.getParcelData(layer.feature, this.accountField);
+            const address = this.addressData.get(parcelInfo.account);
+            const parcel = {
+                account: parcelInfo.account,
+                parcelNumber: props.ParcelNumb || '',
+                location: (address && address.Label) || props.PROPERTYLO ||
+                    (parcelInfo.data.SITUS !== 'N/A' ? parcelInfo.data.SITUS : '') || ''
+            };
+            
+            // Parcels with no owner name can't be merged with each other
+            const ownerKey = this.getOwnerKey(props.OWNERNAME) || `unknown:${parcel.account || owners.size}`;
+            if (!owners.has(ownerKey)) {
+                owners.set(ownerKey, { owner: props.OWNERNAME ? String(props.OWNERNAME).trim() : 'Owner Unknown', parcels: [] });
+            }
+            owners.get(ownerKey).parcels.push(parcel);
+        });
+        
+        const entries = Array.from(owners.values()).sort((a, b) => a.owner.localeCompare(b.owner));
+        console.log(`Notification list: ${layers.length} parcels, ${entries.length} owners within ${feet} ft`);
+        return {
+            subject: this.getParcelKey(subjectLayer.feature),
+            subjectLocation: subjectLayer.feature.properties.PROPERTYLO || '',
+            feet,
+            layers,
+            owners: entries
+        };
+    }
+
+    renderNotificationList() {
+        const list = this.notificationList;
+        const content = document.getElementById('notify-results');
+        content.innerHTML = '';
+        
+        const summary = document.createElement('div');
+        summary.className = 'quality-summary';
+        summary.innerHTML = `<strong>${list.owners.length.toLocaleString()} owners</strong> of ${list.layers.length.toLocaleString()} parcels within ${list.feet.toLocaleString()} ft of ${this.escapeHtml(list.subject)}`;
+        content.appendChild(summary);
+        
+        list.owners.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'notify-owner';
+            row.innerHTML = `<span class="quality-label">${this.escapeHtml(entry.owner)}</span><br>` +
+                entry.parcels.map(parcel => `<span class="quality-detail">${this.escapeHtml(parcel.account)} ${this.escapeHtml(parcel.location)}</span>`).join('<br>');
+            content.appendChild(row);
+        });
+        
+        document.getElementById('notify-actions').style.display = list.owners.length > 0 ? '' : 'none';
+    }
+
+    getNotificationRecords() {
+        // One row per owner for mail merge
+        return this.notificationList.owners.map(entry => ({
+            OWNER: entry.owner,
+            PROPERTY_ADDRESS: entry.parcels.map(parcel => parcel.location).filter(Boolean).join('; '),
+            ACCOUNTS: entry.parcels.map(parcel => parcel.account).join('; '),
+            PARCEL_NUMBERS: entry.parcels.map(parcel => parcel.parcelNumber).filter(Boolean).join('; '),
+            PARCEL_COUNT: entry.parcels.length
+        }));
+    }
+
+    exportNotificationList() {
+        if (!this.notificationList) return;
+        const timestamp = new Date().toISOString().slice(0, 10);
+        this.downloadFile(this.toCSV(this.getNotificationRecords()),
+            `notification_list_${this.notificationList.subject}_${this.notificationList.feet}ft_${timestamp}.csv`, 'text/csv');
+    }
+
+    printNotificationList() {
+        // A plain page with just the list prints cleanly, without the map or panels
+        const list = this.notificationList;
+        if (!list) return;
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            alert('Allow pop-ups for this page to print the notification list.');
+            return;
+        }
+        
+        const rows = this.getNotificationRecords().map(record =>
+            `<tr><td>${this.escapeHtml(record.OWNER)}</td><td>${this.escapeHtml(record.PROPERTY_ADDRESS)}</td><td>${this.escapeHtml(record.ACCOUNTS)}</td></tr>`).join('');
+        printWindow.document.write(`<!DOCTYPE html>
+<html><head><title>Notification List - ${this.escapeHtml(list.subject)}</title>
+<style>
+    body { font-family: 'Segoe UI', Tahoma, sans-serif; font-size: 12px; margin: 24px; }
+    h1 { font-size: 18px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #CCCCCC; vertical-align: top; }
+</style></head><body>
+<h1>Gunnison County - Property Owner Notification List</h1>
+<p>Subject parcel: ${this.escapeHtml(list.subject)} ${this.escapeHtml(list.subjectLocation)}<br>
+Owners within ${list.feet.toLocaleString()} ft: ${list.owners.length} (${list.layers.length} parcels)<br>
+Prepared: ${new Date().toLocaleDateString()}</p>
+<table><thead><tr><th>Owner</th><th>Property Address</th><th>Accounts</th></tr></thead><tbody>${rows}</tbody></table>
+</body></html>`);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    }
+
+    setupCompsPanel() {
+        const panel = document.getElementById('comps-panel');
+        if (!panel) {
+            console.error('⚠️ Comparables panel elements not found!');
+            return;
+        }
+        
+        const showConfig = () => {
+            document.getElementById('comps-count').value = String(this.compsConfig.count);
+            document.getElementById('comps-years').value = String(this.compsConfig.yearRange);
+            document.getElementById('comps-distance').value = String(this.compsConfig.maxDistanceMiles);
+        };
+        // Blank or non-numeric input keeps the previous setting rather than emptying the list
+        const readNumber = (id, current, min) => {
+            const number = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(number) ? Math.max(number, min) : current;
+        };
+        showConfig();
+        
+        document.getElementById('comps-refresh').addEventListener('click', () => {
+            this.compsConfig.count = Math.round(readNumber('comps-count', this.compsConfig.count, 1));
+            this.compsConfig.yearRange = readNumber('comps-years', this.compsConfig.yearRange, 0);
+            this.compsConfig.maxDistanceMiles = readNumber('comps-distance', this.compsConfig.maxDistanceMiles, 0);
+            showConfig();
+            if (this.compsSubject) this.showComparables(this.compsSubject);
+        });
+        panel.querySelector('.side-panel-close').addEventListener('click', () => {
+            panel.classList.remove('open');
+            this.clearComparables();
+        });
+    }
+
+    getCategoryDifference(attribute, valueA, valueB) {
+        // 0 for the same category, up to 1 for opposite ends of the configured order
+        const a = this.normalizeCategory(attribute, valueA);
+        const b = this.normalizeCategory(attribute, valueB);
+        if (a && a === b) return 0;
+        
+        const order = (this.categoricalConfig[attribute] || {}).order || [];
+        const indexA = order.indexOf(a);
+        const indexB = order.indexOf(b);
+        if (indexA === -1 || indexB === -1 || order.length < 2) return 1;
+        return Math.abs(indexA - indexB) / (order.length - 1);
+    }
+
+    findComparables(subjectLayer) {
+        const { count, yearRange, maxDistanceMiles, nearbyMiles, weights } = this.compsConfig;
+        const subject = this.getParcelData(subjectLayer.feature, this.accountField).data;
+        const subjectCenter = subjectLayer.getBounds().getCenter();
+        const subjectYear = this.getNumericValue('AYB', { source: 'property', data: subject });
+        const maxMeters = maxDistanceMiles * 1609.344;
+        const nearbyMeters = nearbyMiles * 1609.344;
+        
+        const candidates = [];
+        this.parcelLayers.forEach((layer, account) => {
+            const record = this.propertyData.get(account);
+            if (!record || layer === subjectLayer) return;
+            
+            const distance = this.map.distance(subjectCenter, layer.getBounds().getCenter());
+            if (maxMeters > 0 && distance > maxMeters) return;
+            
+            const year = this.getNumericValue('AYB', { source: 'property', data: record });
+            if (subjectYear !== null && year !== null && Math.abs(year - subjectYear) > yearRange) return;
+            
+            const sameSubdivision = Boolean(record.SUBNAME) && record.SUBNAME === subject.SUBNAME;
+            const parts = {
+                subdivision: sameSubdivision ? 0 : 1,
+                quality: this.getCategoryDifference('EXT CONDITION', subject['EXT CONDITION'], record['EXT CONDITION']),
+                view: this.getCategoryDifference('ATTRIBUTESUBTYPE', subject.ATTRIBUTESUBTYPE, record.ATTRIBUTESUBTYPE),
+                yearBuilt: subjectYear === null || year === null ? 1 : Math.abs(year - subjectYear) / Math.max(yearRange, 1),
+                distance: maxMeters > 0 ? distance / maxMeters : 0
+            };
+            candidates.push({ layer, record, distance, parts, area: sameSubdivision ? 'subdivision' : null });
+        });
+        
+        // Subdivision names are too sparse or too fine in places to fill the list,
+        // so fall back to distance for the subdivision part
+        const exactMatches = candidates.filter(candidate => candidate.area === 'subdivision').length;
+        if (exactMatches < count) {
+            candidates.forEach(candidate => {
+                if (candidate.area || candidate.distance > nearbyMeters) return;
+                candidate.area = 'nearby';
+                candidate.parts.subdivision = 0.5;
+            });
+        }
+        candidates.forEach(candidate => {
+            candidate.score = Object.keys(weights).reduce((sum, key) => sum + weights[key] * candidate.parts[key], 0);
+        });
+        
+        candidates.sort((a, b) => a.score - b.score);
+        console.log(`Comparables for ${this.getParcelKey(subjectLayer.feature)}: ${candidates.length} candidates, ${exactMatches} in the same subdivision`);
+        return candidates.slice(0, count);
+    }
+
+    showComparables(subjectLayer) {
+        this.compsSubject = subjectLayer;
+        this.comparables = this.findComparables(subjectLayer);
+        subjectLayer.closePopup();
+        
+        // Numbered markers so the map and the list can be read together
+        if (this.compsLayer) this.map.removeLayer(this.compsLayer);
+        this.compsLayer = L.layerGroup(this.comparables.map((comp, index) => {
+            const marker = L.marker(comp.layer.getBounds().getCenter(), {
+                icon: L.divIcon({ className: 'comps-marker', html: String(index + 1), iconSize: [22, 22] })
+            });
+            marker.on('click', () => comp.layer.openPopup());
+            return marker;
+        })).addTo(this.map);
+        
+        const bounds = L.latLngBounds([subjectLayer.getBounds()]);
+        this.comparables.forEach(comp => bounds.extend(comp.layer.getBounds()));
+        this.map.fitBounds(bounds, { padding: [40, 40], maxZoom: 17 });
+        
+        this.renderComparables();
+        document.getElementById('comps-panel').classList.add('open');
+    }
+
+    renderComparables() {
+        const subjectLayer = this.compsSubject;
+        const subjectInfo = this.getParcelData(subjectLayer.feature, this.accountField);
+        const subjectValue = this.getNumericValue('SumOfACTUALVALUE', subjectInfo, subjectLayer.feature);
+        const subjectPerAcre = this.getNumericValue('VALUE_PER_ACRE', subjectInfo, subjectLayer.feature);
+        const content = document.getElementById('comps-results');
+        const money = (value) => (value === null ? 'N/A' : `$${Math.round(value).toLocaleString()}`);
+        const versus = (value, base) => (value === null || !base ? '' : ` (${value >= base ? '+' : ''}${Math.round((value / base - 1) * 100)}%)`);
+        
+        const describe = (record) => this.escapeHtml([record.SUBNAME, this.normalizeCategory('EXT CONDITION', record['EXT CONDITION']),
+            record.ATTRIBUTESUBTYPE, record.AYB ? `built ${record.AYB}` : ''].filter(Boolean).join(' · '));
+        
+        content.innerHTML = `
+            <div class="quality-summary">
+                <strong>Subject: ${this.escapeHtml(subjectInfo.account)}</strong> ${this.escapeHtml(subjectInfo.data.SITUS || '')}<br>
+                <span class="quality-detail">${describe(subjectInfo.data)}</span><br>
+                Value: ${money(subjectValue)} · Per Acre: ${money(subjectPerAcre)}
+            </div>
+        `;
+        if (this.comparables.length === 0) {
+            content.innerHTML += '<div class="search-empty">No comparable properties within the year range and distance</div>';
+            return;
+        }
+        
+        // Each value is compared with the subject's, so over- or under-assessment stands out
+        this.comparables.forEach((comp, index) => {
+            const info = { source: 'property', data: comp.record, account: this.getParcelKey(comp.layer.feature) };
+            const value = this.getNumericValue('SumOfACTUALVALUE', info, comp.layer.feature);
+            const perAcre = this.getNumericValue('VALUE_PER_ACRE', info, comp.layer.feature);
+            
+            const row = document.createElement('div');
+            row.className = 'quality-item clickable comps-item';
+            row.innerHTML = `
+                <span class="comps-rank">${index + 1}</span>
+                <span class="quality-label">${this.escapeHtml(info.account)}</span> ${this.escapeHtml(comp.record.SITUS || '')}<br>
+                <span class="quality-detail">${describe(comp.record)} · ${(comp.distance / 1609.344).toFixed(2)} mi${comp.area === 'nearby' ? ' (nearby)' : ''}</span><br>
+                Value: ${money(value)}${versus(value, subjectValue)} · Per Acre: ${money(perAcre)}${versus(perAcre, subjectPerAcre)}
+            `;
+            row.title = 'Zoom to this property';
+            row.addEventListener('click', () => {
+                this.map.fitBounds(comp.layer.getBounds(), { padding: [40, 40], maxZoom: 18 });
+                comp.layer.openPopup();
+            });
+            content.appendChild(row);
+        });
+    }
+
+    clearComparables() {
+        if (this.compsLayer) this.map.removeLayer(this.compsLayer);
+        this.compsLayer = null;
+        this.compsSubject = null;
+        this.comparables = [];
+    }
+
+    setupStatsPanel() {
+        const openButton = document.getElementById('stats-open');
+        const panel = document.getElementById('stats-panel');
+        
+        if (!openButton || !panel) {
+            console.error('⚠️ Statistics panel elements not found!');
+            return;
+        }
+        
+        openButton.addEventListener('click', () => {
+            panel.classList.add('open');
+            this.renderStatsPanel();
+        });
+        panel.querySelector('.side-panel-close').addEventListener('click', () => panel.classList.remove('open'));
+        
+        const scopeSelect = document.getElementById('stats-scope');
+        scopeSelect.value = this.statsScope;
+        scopeSelect.addEventListener('change', () => {
+            this.statsScope = scopeSelect.value;
+            this.renderStatsPanel();
+        });
+    }
+
+    buildStats() {
+        // Parcels passing the filters and the year-built slider, limited to the
+        // map view in 'extent' scope
+        const viewBounds = this.map.getBounds();
+        const stats = { parcelCount: 0, values: [], years: [], conditions: {}, views: {} };
+        
+        this.parcelsLayer.eachLayer(layer => {
+            if (this.statsScope === 'extent' && !viewBounds.intersects(layer.getBounds())) return;
+            const parcelInfo = this.getParcelData(layer.feature, this.accountField);
+            if (this.filters.length > 0 && !this.matchesFilters(parcelInfo, layer.feature)) return;
+            if (this.builtYear !== null && !this.isBuiltBy(parcelInfo, layer.feature, this.builtYear)) return;
+            
+            stats.parcelCount++;
+            const value = this.getNumericValue('SumOfACTUALVALUE', parcelInfo, layer.feature);
+            if (value !== null) stats.values.push(value);
+            
+            // Condition, view and year built only exist on property records
+            if (parcelInfo.source !== 'property') return;
+            const year = this.getNumericValue('AYB', parcelInfo, layer.feature);
+            if (year !== null) stats.years.push(year);
+            const condition = this.normalizeCategory('EXT CONDITION', parcelInfo.data['EXT CONDITION']);
+            const view = this.normalizeCategory('ATTRIBUTESUBTYPE', parcelInfo.data.ATTRIBUTESUBTYPE);
+            stats.conditions[condition] = (stats.conditions[condition] || 0) + 1;
+            stats.views[view] = (stats.views[view] || 0) + 1;
+        });
+        
+        return stats;
+    }
+
+    getNiceStep(rawStep) {
+        // Round a bin width up to 1, 2, 2.5 or 5 times a power of ten
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const step = [1, 2, 2.5, 5, 10].find(multiple => multiple * magnitude >= rawStep);
+        return step * magnitude;
+    }
+
+    getValueHistogram(values, binCount = 10) {
+        // Equal-width bins up to the 98th percentile; the last bin is open-ended
+        // so a handful of very high values don't squash every other bar
+        if (values.length === 0) return [];
+        const sorted = values.slice().sort((a, b) => a - b);
+        const step = this.getNiceStep(Math.max(this.getPercentile(sorted, 0.98), 1) / binCount);
+        
+        const bins = [];
+        for (let index = 0; index < binCount; index++) {
+            const min = index * step;
+            const last = index === binCount - 1;
+            bins.push({
+                label: last ? `${this.formatCurrency(min)}+` : `${this.formatCurrency(min)} - ${this.formatCurrency(min + step)}`,
+                count: 0,
+                // Same [min, min + step) interval the counting below uses
+                filter: { type: 'range', min, max: last ? null : min + step, maxExclusive: !last }
+            });
+        }
+        values.forEach(value => {
+            bins[Math.min(Math.floor(value / step), binCount - 1)].count++;
+        });
+        return bins;
+    }
+
+    getYearHistogram(years) {
+        // One bar per decade
+        if (years.length === 0) return [];
+        const first = Math.floor(Math.min(...years) / 10) * 10;
+        const last = Math.floor(Math.max(...years) / 10) * 10;
+        
+        const bins = [];
+        for (let decade = first; decade <= last; decade += 10) {
+            bins.push({ label: `${decade}s`, count: 0, filter: { type: 'range', min: decade, max: decade + 9 } });
+        }
+        years.forEach(year => {
+            bins[(Math.floor(year / 10) * 10 - first) / 10].count++;
+        });
+        return bins;
+    }
+
+    getCategoryBars(attribute, counts) {
+        // Configured order first (lowest to highest), then anything else, blanks last
+        const order = (this.categoricalConfig[attribute] || {}).order || [];
+        const categories = Object.keys(counts).sort((a, b) => {
+            if (!a || !b) return !a - !b;
+            const indexA = order.indexOf(a) === -1 ? order.length : order.indexOf(a);
+            const indexB = order.indexOf(b) === -1 ? order.length : order.indexOf(b);
+            return indexA - indexB || a.localeCompare(b);
+        });
+        return categories.map(category => ({
+            label: category || 'Uncategorized',
+            count: counts[category],
+            filter: { type: 'category', values: [category] }
+        }));
+    }
+
+    renderStatsPanel() {
+        const panel = document.getElementById('stats-panel');
+        if (!panel || !panel.classList.contains('open') || !this.parcelsLayer) return;
+        
+        const stats = this.buildStats();
+        const content = document.getElementById('stats-content');
+        content.innerHTML = '';
+        
+        const summary = document.createElement('div');
+        summary.className = 'quality-summary';
+        summary.innerHTML = `
+            <strong>${stats.parcelCount.toLocaleString()} parcels</strong>
+            ${this.statsScope === 'extent' ? 'in the map view' : 'county-wide'}${this.filters.length > 0 ? ', filtered' : ''}<br>
+            Median Value: ${stats.values.length > 0 ? `$${Math.round(this.calculateMedian(stats.values)).toLocaleString()}` : 'N/A'}
+        `;
+        content.appendChild(summary);
+        
+        this.renderChart(content, 'Total Value', 'SumOfACTUALVALUE', this.getValueHistogram(stats.values));
+        this.renderChart(content, 'Quality', 'EXT CONDITION', this.getCategoryBars('EXT CONDITION', stats.conditions));
+        this.renderChart(content, 'View Description', 'ATTRIBUTESUBTYPE', this.getCategoryBars('ATTRIBUTESUBTYPE', stats.views));
+        this.renderChart(content, 'Year Built', 'AYB', this.getYearHistogram(stats.years));
+    }
+
+    renderChart(container, title, field, bars) {
+        // Horizontal bars; clicking one filters the parcels to it, clicking it again clears that filter
+        const chart = document.createElement('div');
+        chart.className = 'stats-chart';
+        chart.innerHTML = `<div class="stats-chart-title">${title}</div>`;
+        
+        if (bars.length === 0) {
+            chart.innerHTML += '<div class="search-empty">No data</div>';
+            container.appendChild(chart);
+            return;
+        }
+        
+        const max = Math.max(...bars.map(bar => bar.count), 1);
+        const current = this.panelFilters.find(filter => filter.field === field);
+        bars.forEach(bar => {
+            const row = document.createElement('div');
+            row.className = this.isSameChartFilter(current, bar.filter) ? 'stats-bar active' : 'stats-bar';
+            row.title = `Show only ${title}: ${bar.label}`;
+            row.innerHTML = `
+                <span class="stats-bar-label">${this.escapeHtml(bar.label)}</span>
+                <span class="stats-bar-track"><span class="stats-bar-fill" style="width: ${(bar.count / max) * 100}%"></span></span>
+                <span class="stats-bar-count">${bar.count.toLocaleString()}</span>
+            `;
+            row.addEventListener('click', () => this.applyChartFilter(field, bar.filter));
+            chart.appendChild(row);
+        });
+        container.appendChild(chart);
+    }
+
+    isSameChartFilter(filter, chartFilter) {
+        if (!filter || filter.type !== chartFilter.type) return false;
+        if (chartFilter.type === 'range') {
+            return filter.min === chartFilter.min && filter.max === chartFilter.max && !!filter.maxExclusive === !!chartFilter.maxExclusive;
+        }
+        return filter.values.length === 1 && filter.values[0] === chartFilter.values[0];
+    }
+
+    applyChartFilter(field, chartFilter) {
+        // Replaces any existing filter on the field, so bars act like radio buttons
+        const existing = this.panelFilters.find(filter => filter.field === field);
+        this.panelFilters = this.panelFilters.filter(filter => filter.field !== field);
+        
+        if (!this.isSameChartFilter(existing, chartFilter)) {
+            this.panelFilters.push(Object.assign({ field, min: null, max: null, maxExclusive: false, values: [], text: '' }, chartFilter));
+        }
+        this.renderFilterList();
+        this.applyFilters();
+    }
+
+    restoreLayerOrder() {
+        // Subdivisions (when colored) above parcels, then address points and dropped layers
+        if (this.subdivisionStat && this.subdivisionLayer) this.subdivisionLayer.bringToFront();
+        if (this.addressLayer && this.map.hasLayer(this.addressLayer)) this.addressLayer.bringToFront();
+        this.userLayers.forEach(entry => entry.layer.bringToFront());
+    }
+
+    setupSubdivisionMode() {
+        const statSelect = document.getElementById('subdivision-stat');
+        if (!statSelect) {
+            console.error('⚠️ Subdivision statistic select not found!');
+            return;
+        }
+        
+        statSelect.addEventListener('change', () => this.setSubdivisionStat(statSelect.value || null));
+    }
+
+    setSubdivisionStat(stat) {
+        this.subdivisionStat = stat;
+        const statSelect = document.getElementById('subdivision-stat');
+        if (statSelect) statSelect.value = stat || '';
+        if (!this.subdivisionLayer) return;
+        
+        if (stat) {
+            // Colored subdivisions are unreadable without their layer, so make sure it's shown
+            if (!this.map.hasLayer(this.subdivisionLayer)) this.setOverlayVisible('subdivisions', true);
+            this.updateSubdivisionClasses();
+        } else {
+            this.subdivisionClasses = null;
+            if (this.parcelsLayer) this.parcelsLayer.bringToFront();
+            this.highlightParcel(this.highlightedLayer);
+        }
+        
+        this.subdivisionLayer.eachLayer(layer => layer.setStyle(this.getSubdivisionStyle(layer)));
+        this.restoreLayerOrder();
+        this.updateSubdivisionLegend();
+        this.scheduleUrlStateUpdate();
+    }
+
+    getSubdivisionAggregates() {
+        // Parcels are assigned by center point, like the town statistics. A coarse
+        // grid of subdivision bounds keeps this from testing every pair.
+        if (this.subdivisionAggregates) return this.subdivisionAggregates;
+        
+        const cellSize = 0.02;
+        const cellKey = (x, y) => `${x},${y}`;
+        const grid = new Map();
+        const aggregates = new Map();
+        this.subdivisionLayer.eachLayer(layer => {
+            aggregates.set(layer, { parcelCount: 0, propertyCount: 0, values: [], conditionScores: [], viewCount: 0, panoramicCount: 0 });
+            const bounds = layer.getBounds();
+            for (let x = Math.floor(bounds.getWest() / cellSize); x <= Math.floor(bounds.getEast() / cellSize); x++) {
+                for (let y = Math.floor(bounds.getSouth() / cellSize); y <= Math.floor(bounds.getNorth() / cellSize); y++) {
+                    if (!grid.has(cellKey(x, y))) grid.set(cellKey(x, y), []);
+                    grid.get(cellKey(x, y)).push(layer);
+                }
+            }
+        });
+        
+        const conditionOrder = this.categoricalConfig['EXT CONDITION'].order;
+        if (this.parcelsLayer) {
+            this.parcelsLayer.eachLayer(parcelLayer => {
+                const center = parcelLayer.getBounds().getCenter();
+                const candidates = grid.get(cellKey(Math.floor(center.lng / cellSize), Math.floor(center.lat / cellSize))) || [];
+                const subdivision = candidates.find(layer =>
+                    layer.getBounds().contains(center) && this.isPointInGeometry(center, this.getSourceGeometry(layer.feature)));
+                if (!subdivision) return;
+                
+                const stats = aggregates.get(subdivision);
+                const parcelInfo = this.getParcelData(parcelLayer.feature, this.accountField);
+                stats.parcelCount++;
+                
+                const value = this.getNumericValue('SumOfACTUALVALUE', parcelInfo, parcelLayer.feature);
+                if (value !== null) stats.values.push(value);
+                if (parcelInfo.source !== 'property') return;
+                
+                stats.propertyCount++;
+                // Condition score: 1 for Salvage up to 9 for Excellent
+                const conditionIndex = conditionOrder.indexOf(this.normalizeCategory('EXT CONDITION', parcelInfo.data['EXT CONDITION']));
+                if (conditionIndex !== -1) stats.conditionScores.push(conditionIndex + 1);
+                const view = this.normalizeCategory('ATTRIBUTESUBTYPE', parcelInfo.data.ATTRIBUTESUBTYPE);
+                if (view) {
+                    stats.viewCount++;
+                    if (view.includes('PANORAMIC')) stats.panoramicCount++;
+                }
+            });
+        }
+        
+        this.subdivisionAggregates = aggregates;
+        console.log(`Aggregated parcels into ${aggregates.size} subdivisions`);
+        return aggregates;
+    }
+
+    getSubdivisionStatValue(stat, stats) {
+        switch (stat) {
+            case 'median_value':
+                return stats.values.length > 0 ? this.calculateMedian(stats.values) : null;
+            case 'condition_score':
+                return stats.conditionScores.length > 0
+                    ? stats.conditionScores.reduce((sum, score) => sum + score, 0) / stats.conditionScores.length
+                    : null;
+            case 'panoramic_share':
+                return stats.viewCount > 0 ? stats.panoramicCount / stats.viewCount : null;
+            case 'parcel_count':
+                return stats.parcelCount > 0 ? stats.parcelCount : null;
+            default:
+                return null;
+        }
+    }
+
+    formatSubdivisionStat(stat, value) {
+        if (value === null) return 'N/A';
+        const format = this.subdivisionStats[stat].format;
+        if (format === 'currency') return `$${Math.round(value).toLocaleString()}`;
+        if (format === 'percent') return `${Math.round(value * 100)}%`;
+        if (format === 'score') return value.toFixed(1);
+        return Math.round(value).toLocaleString();
+    }
+
+    updateSubdivisionClasses() {
+        // Quantile classes over the subdivisions that have a value
+        const aggregates = this.getSubdivisionAggregates();
+        const values = Array.from(aggregates.values())
+            .map(stats => this.getSubdivisionStatValue(this.subdivisionStat, stats))
+            .filter(value => value !== null)
+            .sort((a, b) => a - b);
+        
+        if (values.length === 0) {
+            this.subdivisionClasses = null;
+            return;
+        }
+        const breaks = this.computeClasses(values, 'quantile', 5);
+        this.subdivisionClasses = {
+            breaks,
+            colors: this.interpolatePalette(this.subdivisionPalette, Math.max(breaks.length - 1, 1))
+        };
+    }
+
+    getSubdivisionStyle(layer) {
+        const outline = { color: '#666666', weight: 1, fillColor: 'transparent', fillOpacity: 0.1 };
+        if (!this.subdivisionStat || !this.subdivisionClasses) return outline;
+        
+        const value = this.getSubdivisionStatValue(this.subdivisionStat, this.getSubdivisionAggregates().get(layer));
+        if (value === null) return outline;
+        
+        const { breaks, colors } = this.subdivisionClasses;
+        let index = breaks.length - 2;
+        for (let i = 1; i < breaks.length - 1; i++) {
+            if (value < breaks[i]) {
+                index = i - 1;
+                break;
+            }
+        }
+        return { color: '#224428', weight: 1, fillColor: colors[Math.max(index, 0)], fillOpacity: 0.75 };
+    }
+
+    updateSubdivisionLegend() {
+        const legend = document.getElementById('subdivision-legend');
+        if (!legend) return;
+        
+        if (!this.subdivisionStat || !this.subdivisionClasses) {
+            legend.innerHTML = '';
+            return;
+        }
+        
+        const { breaks, colors } = this.subdivisionClasses;
+        let legendHTML = `<div class="legend-subtitle">Subdivisions: ${this.subdivisionStats[this.subdivisionStat].label}</div>`;
+        colors.forEach((color, index) => {
+            const low = this.formatSubdivisionStat(this.subdivisionStat, breaks[index]);
+            const high = this.formatSubdivisionStat(this.subdivisionStat, breaks[Math.min(index + 1, breaks.length - 1)]);
+            legendHTML += `
+                <div class="legend-item">
+                    <div class="legend-color" style="background-color: ${color}"></div>
+                    <div class="legend-label">${low === high ? low : `${low} - ${high}`}</div>
+                </div>
+            `;
+        });
+        legend.innerHTML = legendHTML;
+    }
+
+    buildSubdivisionPopup(feature, layer) {
+        const stats = this.getSubdivisionAggregates().get(layer);
+        let popupContent = `<strong>${this.escapeHtml(this.getSubdivisionName(feature) || 'Subdivision')}</strong><br>`;
+        popupContent += `Parcels: ${stats.parcelCount.toLocaleString()} (${stats.propertyCount.toLocaleString()} with property data)<br>`;
+        
+        Object.keys(this.subdivisionStats).forEach(stat => {
+            if (stat === 'parcel_count') return;
+            const label = this.subdivisionStats[stat].label;
+            const value = this.formatSubdivisionStat(stat, this.getSubdivisionStatValue(stat, stats));
+            popupContent += stat === this.subdivisionStat ? `<strong>${label}: ${value}</strong><br>` : `${label}: ${value}<br>`;
+        });
+        return popupContent;
+    }
+
+    zoomToPlace(place) {
+        console.log(`Zooming to ${place.type.toLowerCase()}: ${place.name}`);
+        this.map.fitBounds(place.bounds, { padding: [20, 20], maxZoom: 16 });
+    }
+
+    buildFilterFields() {
+        // Offer every property CSV column, every parcel attribute and the derived
+        // numeric attributes. Types are inferred from a sample of the values.
+        this.filterFields = new Map();
+        
+        const sampleRecords = Array.from(this.propertyData.values()).slice(0, 2000);
+        const sampleFeatures = this.parcelFeatures.slice(0, 2000);
+        const fieldNames = new Set();
+        if (sampleRecords.length > 0) Object.keys(sampleRecords[0]).forEach(field => fieldNames.add(field));
+        if (sampleFeatures.length > 0) Object.keys(sampleFeatures[0].properties).forEach(field => fieldNames.add(field));
+        Object.keys(this.numericConfig).forEach(field => fieldNames.add(field));
+        
+        fieldNames.forEach(field => {
+            const label = this.getFieldLabel(field);
+            
+            if (this.numericConfig[field]) {
+                this.filterFields.set(field, { label, type: 'range' });
+                return;
+            }
+            if (this.categoricalConfig[field]) {
+                this.filterFields.set(field, { label, type: 'category', values: this.categoryValues[field] || [] });
+                return;
+            }
+            
+            const values = sampleRecords.map(record => record[field])
+                .concat(sampleFeatures.map(feature => feature.properties[field]))
+                .filter(value => value !== undefined && value !== null && String(value).trim() !== '')
+                .map(value => String(value).trim());
+            if (values.length === 0) return;
+            
+            const numericShare = values.filter(value => !isNaN(parseFloat(value)) && isFinite(value)).length / values.length;
+            const distinct = Array.from(new Set(values));
+            
+            if (numericShare >= 0.9 && distinct.length > 12) {
+                this.filterFields.set(field, { label, type: 'range' });
+            } else if (distinct.length <= 30) {
+                this.filterFields.set(field, { label, type: 'category', values: distinct.sort() });
+            } else {
+                this.filterFields.set(field, { label, type: 'text' });
+            }
+        });
+        
+        console.log(`Filter fields: ${this.filterFields.size}`);
+    }
+
+    getFieldLabel(field) {
+        return (this.numericConfig[field] && this.numericConfig[field].label) || this.fieldLabels[field] || field;
+    }
+
+    getFilterValue(field, parcelInfo, feature) {
+        if (this.numericConfig[field]) return this.getNumericValue(field, parcelInfo, feature);
+        if (this.categoricalConfig[field]) return this.normalizeCategory(field, parcelInfo.data[field]);
+        
+        const value = parcelInfo.data[field] !== undefined ? parcelInfo.data[field] : feature.properties[field];
+        return value === undefined || value === null ? '' : String(value).trim();
+    }
+
+    matchesFilters(parcelInfo, feature) {
+        return this.filters.every(filter => {
+            const value = this.getFilterValue(filter.field, parcelInfo, feature);
+            
+            if (filter.type === 'range') {
+                const number = typeof value === 'number' ? value : parseFloat(value);
+                if (value === null || value === '' || isNaN(number)) return false;
+                if (filter.min !== null && number < filter.min) return false;
+                if (filter.max !== null && (filter.maxExclusive ? number >= filter.max : number > filter.max)) return false;
+                return true;
+            }
+            if (filter.type === 'category') {
+                return filter.values.length === 0 || filter.values.includes(value);
+            }
+            return String(value).toUpperCase().includes(filter.text.toUpperCase());
+        });
+    }
+
+    isFilterActive(filter) {
+        if (filter.type === 'range') return filter.min !== null || filter.max !== null;
+        if (filter.type === 'category') return filter.values.length > 0;
+        return filter.text.trim() !== '';
+    }
+
+    applyFilters() {
+        // Incomplete rows in the panel (nothing selected yet) don't filter anything
+        const activeFilters = this.panelFilters.filter(filter => this.isFilterActive(filter));
+        this.filters = activeFilters;
+        
+        let total = 0;
+        this.filterMatchCount = 0;
+        if (this.parcelsLayer) {
+            this.parcelsLayer.eachLayer(layer => {
+                total++;
+                if (this.filters.length === 0 ||
+                    this.matchesFilters(this.getParcelData(layer.feature, this.accountField), layer.feature)) {
+                    this.filterMatchCount++;
+                }
+            });
+        }
+        
+        const countElement = document.getElementById('filter-count');
+        if (countElement) {
+            countElement.textContent = this.filters.length === 0
+                ? `No filters - ${total.toLocaleString()} parcels`
+                : `${this.filterMatchCount.toLocaleString()} of ${total.toLocaleString()} parcels match`;
+        }
+        
+        console.log(`Filters applied: ${this.filters.length} active, ${this.filterMatchCount} matches`);
+        this.updateMapColors();
+    }
+
+    setupFilterPanel() {
+        const fieldSelect = document.getElementById('filter-field');
+        const addButton = document.getElementById('filter-add');
+        const clearButton = document.getElementById('filter-clear');
+        const list = document.getElementById('filter-list');
+        
+        if (!fieldSelect || !addButton || !list) {
+            console.error('⚠️ Filter panel elements not found!');
+            return;
+        }
+        
+        this.buildFilterFields();
+        this.renderFilterFieldOptions();
+        this.panelFilters = [];
+        
+        addButton.addEventListener('click', () => {
+            const info = this.filterFields.get(fieldSelect.value);
+            if (!info) return;
+            this.panelFilters.push({ field: fieldSelect.value, type: info.type, min: null, max: null, maxExclusive: false, values: [], text: '' });
+            this.renderFilterList();
+        });
+        
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                this.panelFilters = [];
+                this.renderFilterList();
+                this.applyFilters();
+            });
+        }
+        
+        // Filters are first applied by restoreUrlState, which may add linked ones
+        this.renderFilterList();
+    }
+
+    renderFilterFieldOptions() {
+        const fieldSelect = document.getElementById('filter-field');
+        fieldSelect.innerHTML = '';
+        
+        Array.from(this.filterFields.entries())
+            .sort((a, b) => a[1].label.localeCompare(b[1].label))
+            .forEach(([field, info]) => {
+                const option = document.createElement('option');
+                option.value = field;
+                option.textContent = info.label;
+                fieldSelect.appendChild(option);
+            });
+    }
+
+    renderFilterList() {
+        const list = document.getElementById('filter-list');
+        list.innerHTML = '';
+        
+        let applyTimer = null;
+        const scheduleApply = () => {
+            // Typing in a range or text box shouldn't restyle 15,000 parcels per key
+            clearTimeout(applyTimer);
+            applyTimer = setTimeout(() => this.applyFilters(), 250);
+        };
+        
+        this.panelFilters.forEach((filter, index) => {
+            const info = this.filterFields.get(filter.field);
+            const row = document.createElement('div');
+            row.className = 'filter-row';
+            
+            const header = document.createElement('div');
+            header.className = 'filter-row-header';
+            header.innerHTML = `<span>${this.escapeHtml(info.label)}</span>`;
+            const removeButton = document.createElement('button');
+            removeButton.className = 'filter-remove';
+            removeButton.title = 'Remove filter';
+            removeButton.innerHTML = '&times;';
+            removeButton.addEventListener('click', () => {
+                this.panelFilters.splice(index, 1);
+                this.renderFilterList();
+                this.applyFilters();
+            });
+            header.appendChild(removeButton);
+            row.appendChild(header);
+            
+            if (filter.type === 'range') {
+                const inputs = document.createElement('div');
+                inputs.className = 'control-row';
+                ['min', 'max'].forEach(bound => {
+                    const input = document.createElement('input');
+                    input.type = 'number';
+                    input.placeholder = bound === 'min' ? 'Min' : 'Max';
+                    input.value = filter[bound] === null ? '' : filter[bound];
+                    input.addEventListener('input', () => {
+                        const number = parseFloat(input.value);
+                        filter[bound] = isNaN(number) ? null : number;
+                        // A typed maximum is inclusive, unlike a histogram bin's upper edge
+                        if (bound === 'max') filter.maxExclusive = false;
+                        scheduleApply();
+                    });
+                    inputs.appendChild(input);
+                });
+                row.appendChild(inputs);
+            } else if (filter.type === 'category') {
+                const options = document.createElement('div');
+                options.className = 'filter-options';
+                info.values.forEach(value => {
+                    const option = document.createElement('label');
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.checked = filter.values.includes(value);
+                    checkbox.addEventListener('change', () => {
+                        filter.values = checkbox.checked
+                            ? filter.values.concat(value)
+                            : filter.values.filter(selected => selected !== value);
+                        this.applyFilters();
+                    });
+                    option.appendChild(checkbox);
+                    option.appendChild(document.createTextNode(` ${value}`));
+                    options.appendChild(option);
+                });
+                row.appendChild(options);
+            } else {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.placeholder = 'Contains...';
+                input.value = filter.text;
+                input.addEventListener('input', () => {
+                    filter.text = input.value;
+                    scheduleApply();
+                });
+                row.appendChild(input);
+            }
+            
+            list.appendChild(row);
+        });
+    }
+
+    setupExportControls() {
+        const scopeSelect = document.getElementById('export-scope');
+        const csvButton = document.getElementById('export-csv');
+        const geojsonButton = document.getElementById('export-geojson');
+        
+        if (!scopeSelect || !csvButton || !geojsonButton) {
+            console.error('⚠️ Export elements not found!');
+            return;
+        }
+        
+        csvButton.addEventListener('click', () => this.exportParcels(scopeSelect.value, 'csv'));
+        geojsonButton.addEventListener('click', () => this.exportParcels(scopeSelect.value, 'geojson'));
+    }
+
+    getExportLayers(scope) {
+        if (!this.parcelsLayer) return [];
+        
+        if (scope === 'selected') {
+            if (this.selectedLayers.size > 0) return Array.from(this.selectedLayers);
+            return this.highlightedLayer ? [this.highlightedLayer] : [];
+        }
+        
+        const viewBounds = this.map.getBounds();
+        const layers = [];
+        this.parcelsLayer.eachLayer(layer => {
+            // Both scopes honor the active filters; "visible" also limits to the map
+            // view and leaves out parcels hidden by the year-built slider
+            const parcelInfo = this.getParcelData(layer.feature, this.accountField);
+            if (this.filters.length > 0 && !this.matchesFilters(parcelInfo, layer.feature)) return;
+            if (scope === 'visible') {
+                if (!viewBounds.intersects(layer.getBounds())) return;
+                if (this.builtYear !== null && !this.isBuiltBy(parcelInfo, layer.feature, this.builtYear)) return;
+            }
+            layers.push(layer);
+        });
+        return layers;
+    }
+
+    buildExportRecord(layer) {
+        // Property fields first, then parcel attributes, then address point fields.
+        // Parcel fields that clash with a property column are prefixed PARCEL_.
+        const feature = layer.feature;
+        const parcelInfo = this.getParcelData(feature, this.accountField);
+        const record = { DATA_SOURCE: parcelInfo.source };
+        
+        Object.entries(parcelInfo.data).forEach(([field, value]) => {
+            record[field] = value;
+        });
+        Object.entries(feature.properties).forEach(([field, value]) => {
+            record[field in record ? `PARCEL_${field}` : field] = value;
+        });
+        
+        const addressInfo = this.addressData.get(parcelInfo.account);
+        if (addressInfo) {
+            Object.entries(addressInfo).forEach(([field, value]) => {
+                record[`ADDRESS_${field}`] = value;
+            });
+        }
+        
+        return record;
+    }
+
+    exportParcels(scope, format) {
+        const layers = this.getExportLayers(scope);
+        
+        if (layers.length === 0) {
+            alert(scope === 'selected'
+                ? 'No parcel is selected. Click or search for a parcel first.'
+                : 'No parcels match the current view and filters.');
+            return;
+        }
+        
+        console.log(`Exporting ${layers.length} ${scope} parcels as ${format}...`);
+        const records = layers.map(layer => this.buildExportRecord(layer));
+        const timestamp = new Date().toISOString().slice(0, 10);
+        
+        if (format === 'csv') {
+            this.downloadFile(this.toCSV(records), `gunnison_parcels_${scope}_${timestamp}.csv`, 'text/csv');
+        } else {
+            const geojson = {
+                type: 'FeatureCollection',
+                features: layers.map((layer, index) => ({
+                    type: 'Feature',
+                    geometry: this.getSourceGeometry(layer.feature),
+                    properties: records[index]
+                }))
+            };
+            this.downloadFile(JSON.stringify(geojson), `gunnison_parcels_${scope}_${timestamp}.geojson`, 'application/geo+json');
+        }
+    }
+
+    toCSV(records) {
+        // Columns in order of first appearance across all records
+        const columns = [];
+        const seen = new Set();
+        records.forEach(record => {
+            Object.keys(record).forEach(column => {
+                if (!seen.has(column)) {
+                    seen.add(column);
+                    columns.push(column);
+                }
+            });
+        });
+        
+        const escape = (value) => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const lines = [columns.map(escape).join(',')];
+        records.forEach(record => {
+            lines.push(columns.map(column => escape(record[column])).join(','));
+        });
+        return lines.join('\r\n');
+    }
+
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    buildDataQualityReport() {
+        console.log('Building data quality report...');
+        const report = { sections: [] };
+        
+        // Address points give a location for property records without a parcel polygon
+        const addressPoints = new Map();
+        if (this.addressLayer) {
+            this.addressLayer.eachLayer(layer => {
+                const { keyField, keyNormalization } = this.datasetConfig.addresses;
+                const account = this.normalizeKey(layer.feature.properties[keyField], keyNormalization);
+                if (account && layer.getLatLng) addressPoints.set(account, layer.getLatLng());
+            });
+        }
+        
+        const parcelItem = (layer, detail) => {
+            const props = layer.feature.properties;
+            return {
+                label: this.getParcelKey(layer.feature) || props.ParcelNumb || 'No account',
+                detail: detail || props.PROPERTYLO || '',
+                layer
+            };
+        };
+        
+        // Parcels without an account can't join to anything
+        const noAccount = [];
+        if (this.parcelsLayer) {
+            this.parcelsLayer.eachLayer(layer => {
+                if (!this.accountField || !this.getParcelKey(layer.feature)) {
+                    noAccount.push(parcelItem(layer, layer.feature.properties.ParcelNumb ? `Parcel # ${layer.feature.properties.ParcelNumb}` : ''));
+                }
+            });
+        }
+        
+        const missingGeometry = [];
+        this.propertyData.forEach((record, account) => {
+            if (!this.parcelLayers.has(account)) {
+                missingGeometry.push({
+                    label: account,
+                    detail: record.SITUS || record.SUBNAME || '',
+                    latlng: addressPoints.get(account) || null
+                });
+            }
+        });
+        
+        const csvErrorItem = (error) => ({
+            label: `Line ${error.line}`,
+            detail: error.message,
+            layer: error.account ? this.parcelLayers.get(error.account) || null : null
+        });
+        
+        const duplicates = this.csvErrors.filter(error => error.type === 'duplicate-account').map(csvErrorItem)
+            .concat(this.duplicateParcelLayers.map(layer => parcelItem(layer, 'Account used by more than one parcel polygon')));
+        
+        const columnErrors = this.csvErrors.filter(error => error.type === 'column-count' || error.type === 'unterminated-quote' ||
+            error.type === 'stray-quote' || error.type === 'missing-account' || error.type === 'empty-file').map(csvErrorItem);
+        
+        // Numeric fields that are filled in but not numbers
+        const badNumbers = [];
+        const numericFields = ['SumOfACTUALVALUE', 'SumOfRAWASSESSEDVALUE', 'AYB', 'TAXYEAR'];
+        this.propertyData.forEach((record, account) => {
+            numericFields.forEach(field => {
+                const value = record[field];
+                if (value !== undefined && String(value).trim() !== '' && isNaN(parseFloat(value))) {
+                    badNumbers.push({ label: account, detail: `${field} = "${value}"`, layer: this.parcelLayers.get(account) || null });
+                }
+            });
+        });
+        if (this.parcelsLayer) {
+            this.parcelsLayer.eachLayer(layer => {
+                const value = layer.feature.properties.TOTALACTUA;
+                if (value !== undefined && value !== null && String(value).trim() !== '' && isNaN(parseFloat(value))) {
+                    badNumbers.push(parcelItem(layer, `TOTALACTUA = "${value}"`));
+                }
+            });
+        }
+        
+        report.joinStats = this.joinStats;
+        report.propertyRecords = this.propertyData.size;
+        report.sections = [
+            { title: 'Parcels with no account', items: noAccount },
+            { title: 'Property records with no parcel geometry', items: missingGeometry },
+            { title: 'Duplicate accounts', items: duplicates },
+            { title: 'CSV rows rejected or malformed', items: columnErrors },
+            { title: 'Values that are not numbers', items: badNumbers }
+        ];
+        
+        report.sections.forEach(section => {
+            console.log(`Data quality - ${section.title}: ${section.items.length}`);
+        });
+        
+        this.dataQualityReport = report;
+        return report;
+    }
+
+    setupDataQualityPanel() {
+        const openButton = document.getElementById('quality-open');
+        const panel = document.getElementById('quality-panel');
+        
+        if (!openButton || !panel) {
+            console.error('⚠️ Data quality panel elements not found!');
+            return;
+        }
+        
+        openButton.addEventListener('click', () => {
+            this.renderDataQualityPanel();
+            panel.classList.add('open');
+        });
+        panel.querySelector('.side-panel-close').addEventListener('click', () => panel.classList.remove('open'));
+    }
+
+    renderDataQualityPanel() {
+        const content = document.getElementById('quality-content');
+        const report = this.dataQualityReport || this.buildDataQualityReport();
+        const maxItems = 200;
+        
+        content.innerHTML = '';
+        
+        const summary = document.createElement('div');
+        summary.className = 'quality-summary';
+        const stats = report.joinStats;
+        if (stats) {
+            const percent = (count) => (stats.total > 0 ? ((count / stats.total) * 100).toFixed(1) : '0.0');
+            summary.innerHTML = `
+                <strong>Join Coverage</strong><br>
+                Parcels: ${stats.total.toLocaleString()}<br>
+                Joined to property data: ${stats.propertyMatches.toLocaleString()} (${percent(stats.propertyMatches)}%)<br>
+                Parcel data only: ${stats.parcelMatches.toLocaleString()} (${percent(stats.parcelMatches)}%)<br>
+                Property records: ${report.propertyRecords.toLocaleString()}
+            `;
+        } else {
+            summary.innerHTML = `<strong>Join Coverage</strong><br>No parcel data loaded<br>Property records: ${report.propertyRecords.toLocaleString()}`;
+        }
+        content.appendChild(summary);
+        
+        report.sections.forEach(section => {
+            const details = document.createElement('details');
+            details.className = 'quality-section';
+            const heading = document.createElement('summary');
+            heading.innerHTML = `${section.title} <span class="quality-count">${section.items.length.toLocaleString()}</span>`;
+            details.appendChild(heading);
+            
+            section.items.slice(0, maxItems).forEach(item => {
+                const row = document.createElement('div');
+                const canZoom = !!(item.layer || item.latlng);
+                row.className = canZoom ? 'quality-item clickable' : 'quality-item';
+                row.innerHTML = `<span class="quality-label">${this.escapeHtml(item.label)}</span> <span class="quality-detail">${this.escapeHtml(item.detail)}</span>`;
+                if (canZoom) {
+                    row.title = 'Zoom to this parcel';
+                    row.addEventListener('click', () => {
+                        if (item.layer) this.selectParcel(item.layer);
+                        else this.map.setView(item.latlng, 17);
+                    });
+                }
+                details.appendChild(row);
+            });
+            
+            if (section.items.length > maxItems) {
+                const more = document.createElement('div');
+                more.className = 'quality-item';
+                more.textContent = `...and ${(section.items.length - maxItems).toLocaleString()} more`;
+                details.appendChild(more);
+            }
+            
+            content.appendChild(details);
+        });
+    }
+
+    setupFileImport() {
+        const fileInput = document.getElementById('import-file');
+        const panel = document.getElementById('import-panel');
+        const overlay = document.getElementById('drop-overlay');
+        
+        if (!fileInput || !panel || !overlay) {
+            console.error('⚠️ File import elements not found!');
+            return;
+        }
+        
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) this.readImportFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        
+        // Dropping anywhere on the page loads the file instead of navigating to it
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+        document.addEventListener('dragenter', (e) => {
+            if (hasFiles(e)) overlay.classList.add('open');
+        });
+        document.addEventListener('dragover', (e) => {
+            if (hasFiles(e)) e.preventDefault();
+        });
+        overlay.addEventListener('dragleave', () => overlay.classList.remove('open'));
+        document.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            overlay.classList.remove('open');
+            if (e.dataTransfer.files.length > 0) this.readImportFile(e.dataTransfer.files[0]);
+        });
+        
+        document.getElementById('import-mode').addEventListener('change', () => this.renderImportKeyOptions());
+        document.getElementById('import-key').addEventListener('change', () => this.renderImportMatch());
+        document.getElementById('import-confirm').addEventListener('click', () => this.confirmImport());
+        document.getElementById('import-cancel').addEventListener('click', () => this.closeImportPanel());
+        panel.querySelector('.side-panel-close').addEventListener('click', () => this.closeImportPanel());
         
-        // Don't add to map by default - user can toggle if needed
-        console.log('Address layer created (hidden by default)');
+        this.renderImportList();
     }
 
-    getParcelStyle(feature, accountField) {
-        const parcelInfo = this.getParcelData(feature, accountField);
+    async readImportFile(file) {
+        // Parses a dropped file far enough to offer its fields in the mapping panel
+        console.log(`Reading local file ${file.name} (${file.size.toLocaleString()} bytes)...`);
+        const extension = (file.name.split('.').pop() || '').toLowerCase();
+        const pending = { name: file.name, text: '', format: null, fields: [], rows: [], geojson: null, error: null };
         
-        // For Quality and View Description, only show parcels that have that specific data
-        if (this.colorBy === 'ATTRIBUTESUBTYPE' || this.colorBy === 'EXT CONDITION') {
-            if (!parcelInfo || parcelInfo.source !== 'property') {
-                // No property data - make completely transparent
-                return {
-                    color: 'transparent',
-                    weight: 0,
-                    fillColor: 'transparent',
-                    fillOpacity: 0
-                };
-            }
-            
-            const value = parcelInfo.data[this.colorBy];
-            const scheme = this.colorSchemes[this.colorBy];
-            
-            if (!value || value === 'Unknown' || !scheme[value]) {
-                // No data for this attribute - make completely transparent
-                return {
-                    color: 'transparent',
-                    weight: 0,
-                    fillColor: 'transparent',
-                    fillOpacity: 0
-                };
-            }
-            
-            // Has data - show with color
-            return {
-                color: scheme[value],
-                weight: 1,
-                fillColor: scheme[value],
-                fillOpacity: 0.8
-            };
+        try {
+            pending.text = await file.text();
+        } catch (error) {
+            console.error(`Failed to read ${file.name}:`, error);
+            pending.error = `The file could not be read: ${error.message}`;
+            this.pendingImport = pending;
+            this.renderImportPanel();
+            return;
         }
+        const text = pending.text;
         
-        // For Total Value, use hybrid approach (property + parcel data)
-        if (this.colorBy === 'SumOfACTUALVALUE' || this.colorBy === 'TOTALACTUA') {
-            if (!parcelInfo) {
-                return {
-                    color: 'transparent',
-                    weight: 0,
-                    fillColor: 'transparent',
-                    fillOpacity: 0
-                };
+        if (extension === 'geojson' || extension === 'json' || /^\s*\{/.test(text)) {
+            try {
+                const geojson = JSON.parse(text);
+                if (!Array.isArray(geojson.features)) throw new Error('No features array');
+                pending.format = 'geojson';
+                pending.geojson = geojson;
+                const fields = new Set();
+                geojson.features.slice(0, 500).forEach(feature => Object.keys(feature.properties || {}).forEach(field => fields.add(field)));
+                pending.fields = Array.from(fields);
+                pending.rows = geojson.features.map(feature => feature.properties || {});
+            } catch (error) {
+                pending.error = `Not a GeoJSON FeatureCollection: ${error.message}`;
             }
-            
-            const value = parseFloat(parcelInfo.data.SumOfACTUALVALUE) || 0;
-            const scheme = this.colorSchemes[this.colorBy];
-            
-            if (value === 0) {
-                // No value data - make transparent
-                return {
-                    color: 'transparent',
-                    weight: 0,
-                    fillColor: 'transparent',
-                    fillOpacity: 0
-                };
+        } else if (extension === 'csv' || extension === 'txt') {
+            try {
+                const rows = [];
+                const parser = this.createCSVParser({ onRow: (values) => rows.push(values) });
+                parser.push(text);
+                parser.finish();
+                pending.format = 'csv';
+                pending.fields = rows.length > 0 ? rows[0] : [];
+                pending.rows = rows.slice(1).map(values => {
+                    const row = {};
+                    pending.fields.forEach((field, index) => {
+                        row[field] = values[index];
+                    });
+                    return row;
+                });
+                if (pending.fields.length === 0) pending.error = 'The CSV file is empty';
+            } catch (error) {
+                console.error(`Failed to parse ${file.name}:`, error);
+                pending.error = `The CSV file could not be read: ${error.message}`;
             }
-            
-            let color = scheme['Low']; // Default to Low
-            if (value < 200000) color = scheme['Low'];
-            else if (value < 400000) color = scheme['Medium'];
-            else if (value < 800000) color = scheme['High'];
-            else color = scheme['Very High'];
-            
-            return {
-                color: color,
-                weight: 1,
-                fillColor: color,
-                fillOpacity: 0.8
-            };
+        } else {
+            pending.error = `Unsupported file type ".${extension}" - use a .csv or .geojson file`;
         }
         
-        // Fallback - transparent
-        return {
-            color: 'transparent',
-            weight: 0,
-            fillColor: 'transparent',
-            fillOpacity: 0
-        };
+        this.pendingImport = pending;
+        this.renderImportPanel();
     }
 
-    addParcelInteractions(feature, layer, accountField) {
-        const parcelInfo = this.getParcelData(feature, accountField);
-        const addressInfo = this.addressData.get(parcelInfo.account);
+    renderImportPanel() {
+        const pending = this.pendingImport;
+        const panel = document.getElementById('import-panel');
+        const modeSelect = document.getElementById('import-mode');
         
-        // Tooltip on hover
-        layer.bindTooltip(parcelInfo.account, {
-            permanent: false,
-            direction: 'center'
-        });
+        const name = this.escapeHtml(pending.name);
+        document.getElementById('import-summary').innerHTML = pending.error
+            ? `<strong>${name}</strong><br><span class="import-error">${this.escapeHtml(pending.error)}</span>`
+            : `<strong>${name}</strong><br>${pending.format === 'csv' ? 'CSV' : 'GeoJSON'}: ${pending.rows.length.toLocaleString()} ${pending.format === 'csv' ? 'rows' : 'features'}, ${pending.fields.length} fields`;
         
-        // Popup on click
-        let popupContent = `<strong>Parcel Information</strong><br>`;
-        popupContent += `Account: ${parcelInfo.account}<br>`;
-        popupContent += `Parcel #: ${feature.properties.ParcelNumb || 'N/A'}<br>`;
-        popupContent += `Owner: ${feature.properties.OWNERNAME || 'N/A'}<br>`;
-        popupContent += `Property Location: ${feature.properties.PROPERTYLO || 'N/A'}<br>`;
+        // Only GeoJSON has geometry to draw as a layer
+        modeSelect.querySelector('option[value="layer"]').disabled = pending.format !== 'geojson';
+        modeSelect.value = pending.format === 'geojson' && !this.findImportKeyField(pending) ? 'layer' : 'property';
+        document.getElementById('import-options').style.display = pending.error ? 'none' : '';
         
-        popupContent += `<br><strong>Property Data</strong><br>`;
-        popupContent += `Data Source: ${parcelInfo.source}<br>`;
-        popupContent += `Situs: ${parcelInfo.data.SITUS || 'N/A'}<br>`;
-        popupContent += `Subdivision: ${parcelInfo.data.SUBNAME || 'N/A'}<br>`;
+        this.renderImportKeyOptions();
+        panel.classList.add('open');
+    }
+
+    findImportKeyField(pending) {
+        // Prefer a field named like the configured keys, then the one that joins best
+        const candidates = [this.getPrimaryAttributeSource().keyField].concat(this.datasetConfig.parcels.keyFields);
+        const named = pending.fields.find(field => candidates.includes(field.trim().toUpperCase()));
+        if (named) return named;
         
-        if (parcelInfo.source === 'property') {
-            popupContent += `View: ${parcelInfo.data.ATTRIBUTESUBTYPE || 'N/A'}<br>`;
-            popupContent += `Quality: ${parcelInfo.data['EXT CONDITION'] || 'N/A'}<br>`;
-        } else {
-            popupContent += `View: ${parcelInfo.data.ATTRIBUTESUBTYPE || 'N/A'}<br>`;
-            popupContent += `Quality: ${parcelInfo.data['EXT CONDITION'] || 'N/A'}<br>`;
+        let best = null;
+        let bestMatches = 0;
+        pending.fields.forEach(field => {
+            const matches = this.countImportMatches(pending, field, 200);
+            if (matches > bestMatches) {
+                best = field;
+                bestMatches = matches;
+            }
+        });
+        return best;
+    }
+
+    countImportMatches(pending, keyField, limit = Infinity) {
+        const rules = this.getPrimaryAttributeSource().keyNormalization;
+        return pending.rows.slice(0, limit)
+            .filter(row => this.parcelLayers.has(this.normalizeKey(row[keyField], rules))).length;
+    }
+
+    renderImportKeyOptions() {
+        const pending = this.pendingImport;
+        const keySelect = document.getElementById('import-key');
+        const mode = document.getElementById('import-mode').value;
+        
+        keySelect.innerHTML = '';
+        if (mode === 'layer') {
+            // A layer can be drawn without joining to property records
+            keySelect.appendChild(new Option('(no join)', ''));
         }
+        pending.fields.forEach(field => keySelect.appendChild(new Option(field, field)));
+        keySelect.value = this.findImportKeyField(pending) || (mode === 'layer' ? '' : pending.fields[0] || '');
         
-        popupContent += `Value: $${(parseFloat(parcelInfo.data.SumOfACTUALVALUE) || 0).toLocaleString()}<br>`;
-        popupContent += `Year Built: ${parcelInfo.data.AYB || 'N/A'}<br>`;
+        this.renderImportMatch();
+    }
+
+    renderImportMatch() {
+        const pending = this.pendingImport;
+        const keyField = document.getElementById('import-key').value;
+        const matchElement = document.getElementById('import-match');
+        const preview = document.getElementById('import-preview');
+        const rules = this.getPrimaryAttributeSource().keyNormalization;
         
-        if (addressInfo) {
-            popupContent += `<br><strong>Address Info</strong><br>`;
-            popupContent += `Label: ${addressInfo.Label || 'N/A'}<br>`;
-            popupContent += `Vacant: ${addressInfo.Vacant || 'N/A'}<br>`;
+        document.getElementById('import-confirm').disabled = !!pending.error ||
+            (document.getElementById('import-mode').value === 'property' && !keyField);
+        
+        if (!keyField || pending.error) {
+            matchElement.textContent = '';
+            preview.innerHTML = '';
+            return;
         }
         
-        layer.bindPopup(popupContent);
+        const matches = this.countImportMatches(pending, keyField);
+        matchElement.textContent = `${matches.toLocaleString()} of ${pending.rows.length.toLocaleString()} rows match a parcel account`;
+        
+        // A few rows with their normalized key show whether the key needs different rules
+        let html = '<table><tr><th>Value</th><th>Account</th><th>Parcel</th></tr>';
+        pending.rows.slice(0, 5).forEach(row => {
+            const key = this.normalizeKey(row[keyField], rules);
+            html += `<tr><td>${this.escapeHtml(row[keyField])}</td><td>${this.escapeHtml(key)}</td><td>${this.parcelLayers.has(key) ? '✓' : '-'}</td></tr>`;
+        });
+        preview.innerHTML = html + '</table>';
     }
 
-    setupEventListeners() {
-        console.log('Setting up fixed colors event listeners...');
+    confirmImport() {
+        const pending = this.pendingImport;
+        const keyField = document.getElementById('import-key').value;
+        const mode = document.getElementById('import-mode').value;
+        if (!pending || pending.error) return;
         
-        // Color by dropdown
-        const colorBySelect = document.getElementById('color-by');
+        if (mode === 'layer') {
+            this.addUserLayer(pending, keyField);
+        } else {
+            this.replacePropertyTable(pending, keyField);
+        }
+        this.closeImportPanel();
+    }
+
+    closeImportPanel() {
+        this.pendingImport = null;
+        document.getElementById('import-panel').classList.remove('open');
+    }
+
+    replacePropertyTable(pending, keyField) {
+        // Swap in a local extract as the primary table, keeping the configured key rules
+        const source = Object.assign({}, this.getPrimaryAttributeSource(), {
+            name: pending.name,
+            file: pending.name,
+            format: pending.format,
+            keyField,
+            delimiter: undefined,
+            // Tax-year history stays with the configured extracts
+            yearField: undefined,
+            renames: {}
+        });
         
-        if (colorBySelect) {
-            console.log('Color select element found');
-            
-            // Remove any existing listeners
-            colorBySelect.removeEventListener('change', this.handleColorChange);
-            
-            // Add new listener
-            this.handleColorChange = (e) => {
-                console.log('Dropdown changed to:', e.target.value);
-                this.colorBy = e.target.value;
-                this.updateMapColors();
-            };
-            
-            colorBySelect.addEventListener('change', this.handleColorChange);
-            
-            // Initial legend update
-            this.updateLegend();
-            console.log('Event listeners set up successfully');
+        this.propertyData = new Map();
+        if (pending.format === 'csv') {
+            this.parsePropertyData(pending.text, source);
         } else {
-            console.error('⚠️ Color select element not found!');
+            const errors = [];
+            this.readGeoJSONRecords(pending.geojson, source, this.propertyData, errors);
+            this.csvErrors = errors;
+            this.buildColorSchemes();
         }
         
-        // Add toggle for address layer (optional)
-        this.addAddressToggle();
+        this.importedPropertyTable = pending.name;
+        console.log(`Replaced property table with ${pending.name}: ${this.propertyData.size} records`);
+        this.refreshParcelJoins();
+        this.renderImportList();
+    }
+
+    async restorePropertyTable() {
+        this.propertyData = new Map();
+        await this.loadPropertyData();
+        this.importedPropertyTable = null;
+        this.refreshParcelJoins();
+        this.renderImportList();
+    }
+
+    refreshParcelJoins() {
+        // Popups, search, stats and the quality report all read the joined records,
+        // so rebuild the parcel layer rather than patch each of them
+        if (!this.parcelsLayer) return;
+        this.clearJoinCache();
+        const selectedAccount = this.highlightedLayer ? this.getParcelKey(this.highlightedLayer.feature) : null;
+        const selectionAccounts = Array.from(this.selectedLayers).map(layer => this.getParcelKey(layer.feature));
+        this.selectedLayers = new Set();
         
-        // Add zoom controls
-        this.addZoomControls();
+        this.map.removeLayer(this.parcelsLayer);
+        this.parcelsLayer = null;
+        this.parcelLayers = new Map();
+        this.duplicateParcelLayers = [];
+        this.highlightedLayer = null;
+        this.townStats = new Map();
+        
+        this.addParcelsLayer({ type: 'FeatureCollection', features: this.parcelFeatures });
+        this.subdivisionAggregates = null;
+        this.setSubdivisionStat(this.subdivisionStat);
+        this.restoreLayerOrder();
+        
+        // Filters on fields the new table doesn't have are dropped
+        this.buildFilterFields();
+        this.panelFilters = this.panelFilters.filter(filter => this.filterFields.has(filter.field));
+        this.renderFilterFieldOptions();
+        this.renderFilterList();
+        this.highlightParcel(selectedAccount ? this.parcelLayers.get(selectedAccount) || null : null);
+        this.setSelection(selectionAccounts.map(account => this.parcelLayers.get(account)).filter(Boolean));
+        this.applyFilters();
+        
+        this.buildDataQualityReport();
+        if (document.getElementById('quality-panel').classList.contains('open')) {
+            this.renderDataQualityPanel();
+        }
     }
 
-    addAddressToggle() {
-        // Create a simple toggle button for address points
-        const toggleButton = document.createElement('button');
-        toggleButton.innerHTML = 'Show Address Points';
-        toggleButton.style.cssText = `
-            position: absolute;
-            top: 10px;
-            right: 10px;
-            z-index: 1000;
-            background: #224428;
-            color: white;
-            border: none;
-            padding: 8px 12px;
-            border-radius: 4px;
-            cursor: pointer;
-            font-size: 12px;
-        `;
+    addUserLayer(pending, keyField) {
+        const rules = this.getPrimaryAttributeSource().keyNormalization;
+        const data = this.reprojectGeoJSON(pending.geojson, pending.name);
+        const color = '#7B3F99';
         
-        toggleButton.addEventListener('click', () => {
-            if (this.map.hasLayer(this.addressLayer)) {
-                this.map.removeLayer(this.addressLayer);
-                toggleButton.innerHTML = 'Show Address Points';
-            } else {
-                this.map.addLayer(this.addressLayer);
-                toggleButton.innerHTML = 'Hide Address Points';
+        const layer = L.geoJSON(data, {
+            style: { color, weight: 2, fillColor: color, fillOpacity: 0.15 },
+            pointToLayer: (feature, latlng) => L.circleMarker(latlng, {
+                radius: 5, color, weight: 1, fillColor: color, fillOpacity: 0.6
+            }),
+            onEachFeature: (feature, featureLayer) => {
+                const props = feature.properties || {};
+                let popupContent = `<strong>${this.escapeHtml(pending.name)}</strong><br>`;
+                Object.entries(props).slice(0, 20).forEach(([field, value]) => {
+                    popupContent += `${this.escapeHtml(field)}: ${value === null || value === '' ? 'N/A' : this.escapeHtml(value)}<br>`;
+                });
+                
+                // Joined property record, when the key matches one
+                const property = keyField ? this.propertyData.get(this.normalizeKey(props[keyField], rules)) : null;
+                if (property) {
+                    popupContent += `<br><strong>Property Data</strong><br>`;
+                    popupContent += `Situs: ${this.escapeHtml(property.SITUS || 'N/A')}<br>`;
+                    popupContent += `Value: $${(parseFloat(property.SumOfACTUALVALUE) || 0).toLocaleString()}<br>`;
+                }
+                featureLayer.bindPopup(popupContent);
             }
+        }).addTo(this.map);
+        
+        this.userLayers.push({ name: pending.name, layer, count: data.features.length });
+        if (layer.getBounds().isValid()) this.map.fitBounds(layer.getBounds());
+        console.log(`Added local layer ${pending.name}: ${data.features.length} features`);
+        this.renderImportList();
+    }
+
+    removeUserLayer(entry) {
+        this.map.removeLayer(entry.layer);
+        this.userLayers = this.userLayers.filter(other => other !== entry);
+        this.renderImportList();
+    }
+
+    renderImportList() {
+        const list = document.getElementById('import-list');
+        if (!list) return;
+        list.innerHTML = '';
+        
+        const addItem = (text, buttonText, onClick) => {
+            const item = document.createElement('div');
+            item.className = 'import-item';
+            const label = document.createElement('span');
+            label.textContent = text;
+            item.appendChild(label);
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'link-button';
+            button.textContent = buttonText;
+            button.addEventListener('click', onClick);
+            item.appendChild(button);
+            list.appendChild(item);
+        };
+        
+        if (this.importedPropertyTable) {
+            addItem(`Property table: ${this.importedPropertyTable}`, 'Restore', () => this.restorePropertyTable());
+        }
+        this.userLayers.forEach(entry => {
+            addItem(`Layer: ${entry.name} (${entry.count.toLocaleString()})`, 'Remove', () => this.removeUserLayer(entry));
         });
+    }
+
+    setupAttributeTable() {
+        const panel = document.getElementById('table-panel');
+        const openButton = document.getElementById('table-open');
+        const body = document.getElementById('table-body');
         
-        document.body.appendChild(toggleButton);
+        if (!panel || !openButton || !body) {
+            console.error('⚠️ Attribute table elements not found!');
+            return;
+        }
+        
+        openButton.addEventListener('click', () => {
+            this.tableState.open = true;
+            panel.classList.add('open');
+            this.renderTableColumnList();
+            this.refreshAttributeTable();
+        });
+        panel.querySelector('.side-panel-close').addEventListener('click', () => {
+            this.tableState.open = false;
+            panel.classList.remove('open');
+        });
+        
+        const dockButton = document.getElementById('table-dock');
+        dockButton.addEventListener('click', () => {
+            const right = panel.classList.toggle('docked-right');
+            dockButton.textContent = right ? 'Dock Bottom' : 'Dock Right';
+            this.renderTableRows();
+        });
+        
+        document.getElementById('table-prev').addEventListener('click', () => this.setTablePage(this.tableState.page - 1));
+        document.getElementById('table-next').addEventListener('click', () => this.setTablePage(this.tableState.page + 1));
+        
+        // Only the rows in view exist in the DOM; redraw them as the body scrolls
+        const head = document.getElementById('table-head');
+        body.addEventListener('scroll', () => {
+            head.scrollLeft = body.scrollLeft;
+            this.renderTableRows();
+        });
     }
 
-    addZoomControls() {
-        // Add zoom to Gunnison button
-        const gunnisonButton = document.createElement('button');
-        gunnisonButton.innerHTML = 'Zoom to Gunnison';
-        gunnisonButton.style.cssText = `
-            position: absolute;
-            top: 50px;
-            right: 10px;
-            z-index: 1000;
-            background: #224428;
-            color: white;
-            border: none;
-            padding: 8px 12px;
-            border-radius: 4px;
-            cursor: pointer;
-            font-size: 12px;
-        `;
+    getTableColumns() {
+        // The color-by attribute is always shown so the table matches the map
+        const columns = this.tableState.columns.slice();
+        if (!columns.includes(this.colorBy)) columns.push(this.colorBy);
+        return columns;
+    }
+
+    renderTableColumnList() {
+        const list = document.getElementById('table-column-list');
+        list.innerHTML = '';
         
-        gunnisonButton.addEventListener('click', () => {
-            this.map.setView([38.545, -106.925], 14);
+        const fields = ['ACCOUNTNO'].concat(Array.from(this.filterFields.keys()).filter(field => field !== 'ACCOUNTNO'))
+            .sort((a, b) => this.getFieldLabel(a).localeCompare(this.getFieldLabel(b)));
+        fields.forEach(field => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.tableState.columns.includes(field);
+            checkbox.addEventListener('change', () => {
+                this.tableState.columns = checkbox.checked
+                    ? this.tableState.columns.concat(field)
+                    : this.tableState.columns.filter(column => column !== field);
+                this.renderAttributeTable();
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${this.getFieldLabel(field)}`));
+            list.appendChild(label);
         });
+    }
+
+    refreshAttributeTable() {
+        // Rows are the parcels drawn on the map - passing the active filters and
+        // the year-built slider - in the current sort order
+        if (!this.tableState.open || !this.parcelsLayer) return;
         
-        document.body.appendChild(gunnisonButton);
+        this.tableRows = [];
+        this.parcelsLayer.eachLayer(layer => {
+            const parcelInfo = this.getParcelData(layer.feature, this.accountField);
+            if (this.filters.length > 0 && !this.matchesFilters(parcelInfo, layer.feature)) return;
+            if (this.builtYear !== null && !this.isBuiltBy(parcelInfo, layer.feature, this.builtYear)) return;
+            this.tableRows.push({ layer, parcelInfo });
+        });
+        this.sortTableRows();
         
-        // Add zoom to Crested Butte button
-        const cbButton = document.createElement('button');
-        cbButton.innerHTML = 'Zoom to Crested Butte';
-        cbButton.style.cssText = `
-            position: absolute;
-            top: 90px;
-            right: 10px;
-            z-index: 1000;
-            background: #224428;
-            color: white;
-            border: none;
-            padding: 8px 12px;
-            border-radius: 4px;
-            cursor: pointer;
-            font-size: 12px;
-        `;
+        const pageCount = Math.max(1, Math.ceil(this.tableRows.length / this.tableState.pageSize));
+        this.tableState.page = Math.min(this.tableState.page, pageCount - 1);
+        this.renderAttributeTable();
+    }
+
+    sortTableRows() {
+        const { sortField, sortDirection } = this.tableState;
+        if (!sortField) return;
         
-        cbButton.addEventListener('click', () => {
-            this.map.setView([38.9, -106.97], 14);
+        // Blank values sort last in either direction
+        const keyed = this.tableRows.map(row => ({ row, value: this.getFilterValue(sortField, row.parcelInfo, row.layer.feature) }));
+        const isBlank = (value) => value === null || value === '';
+        keyed.sort((a, b) => {
+            if (isBlank(a.value) || isBlank(b.value)) return isBlank(a.value) - isBlank(b.value);
+            if (typeof a.value === 'number' && typeof b.value === 'number') return (a.value - b.value) * sortDirection;
+            return String(a.value).localeCompare(String(b.value), undefined, { numeric: true }) * sortDirection;
         });
+        this.tableRows = keyed.map(item => item.row);
+    }
+
+    setTablePage(page) {
+        const pageCount = Math.max(1, Math.ceil(this.tableRows.length / this.tableState.pageSize));
+        if (page < 0 || page >= pageCount) return;
+        this.tableState.page = page;
+        document.getElementById('table-body').scrollTop = 0;
+        this.renderAttributeTable();
+    }
+
+    renderAttributeTable() {
+        const { page, pageSize, rowHeight, sortField, sortDirection } = this.tableState;
+        const columns = this.getTableColumns();
+        const pageCount = Math.max(1, Math.ceil(this.tableRows.length / pageSize));
+        const pageRows = Math.min(pageSize, this.tableRows.length - page * pageSize);
+        
+        document.getElementById('table-count').textContent = `${this.tableRows.length.toLocaleString()} parcels`;
+        document.getElementById('table-page').textContent = `Page ${page + 1} of ${pageCount}`;
+        document.getElementById('table-prev').disabled = page === 0;
+        document.getElementById('table-next').disabled = page >= pageCount - 1;
+        
+        // Header cells sort on click; a second click reverses the order
+        const head = document.getElementById('table-head');
+        head.innerHTML = '';
+        const headRow = document.createElement('div');
+        headRow.className = 'table-row';
+        headRow.appendChild(Object.assign(document.createElement('div'), { className: 'table-cell table-swatch-cell' }));
+        columns.forEach(field => {
+            const cell = document.createElement('div');
+            cell.className = 'table-cell sortable';
+            cell.textContent = this.getFieldLabel(field) + (field === sortField ? (sortDirection === 1 ? ' ▲' : ' ▼') : '');
+            cell.title = `Sort by ${this.getFieldLabel(field)}`;
+            cell.addEventListener('click', () => {
+                this.tableState.sortDirection = field === this.tableState.sortField ? -this.tableState.sortDirection : 1;
+                this.tableState.sortField = field;
+                this.sortTableRows();
+                this.renderAttributeTable();
+            });
+            headRow.appendChild(cell);
+        });
+        head.appendChild(headRow);
+        
+        document.getElementById('table-spacer').style.height = `${Math.max(0, pageRows) * rowHeight}px`;
+        this.renderTableRows();
+    }
+
+    renderTableRows() {
+        if (!this.tableState.open) return;
+        const { page, pageSize, rowHeight } = this.tableState;
+        const body = document.getElementById('table-body');
+        const spacer = document.getElementById('table-spacer');
+        const columns = this.getTableColumns();
+        
+        const pageStart = page * pageSize;
+        const pageEnd = Math.min(pageStart + pageSize, this.tableRows.length);
+        const first = Math.max(pageStart, pageStart + Math.floor(body.scrollTop / rowHeight) - 10);
+        const last = Math.min(pageEnd, pageStart + Math.ceil((body.scrollTop + body.clientHeight) / rowHeight) + 10);
+        
+        spacer.innerHTML = '';
+        for (let index = first; index < last; index++) {
+            const { layer, parcelInfo } = this.tableRows[index];
+            const row = document.createElement('div');
+            row.className = layer === this.highlightedLayer || this.selectedLayers.has(layer) ? 'table-row selected' : 'table-row';
+            row.style.top = `${(index - pageStart) * rowHeight}px`;
+            
+            const swatch = document.createElement('div');
+            swatch.className = 'table-cell table-swatch-cell';
+            swatch.innerHTML = `<span class="table-swatch" style="background-color: ${this.getParcelStyle(layer.feature, this.accountField).fillColor}"></span>`;
+            row.appendChild(swatch);
+            
+            columns.forEach(field => {
+                const cell = document.createElement('div');
+                cell.className = 'table-cell';
+                cell.textContent = this.formatTableValue(field, this.getFilterValue(field, parcelInfo, layer.feature));
+                row.appendChild(cell);
+            });
+            
+            row.addEventListener('click', () => this.selectParcel(layer));
+            spacer.appendChild(row);
+        }
+    }
+
+    formatTableValue(field, value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value !== 'number') return value;
+        
+        // Full dollar amounts here; the compact legend format hides too much
+        const config = this.numericConfig[field] || {};
+        if (config.format !== 'currency') return this.formatNumericValue(value, field);
+        const sign = value < 0 ? '−' : config.diverging && value > 0 ? '+' : '';
+        return `${sign}$${Math.round(Math.abs(value)).toLocaleString()}`;
+    }
+
+    revealTableRow(layer) {
+        // Scrolls the table to a parcel clicked on the map
+        if (!this.tableState.open) return;
+        const index = this.tableRows.findIndex(row => row.layer === layer);
+        if (index === -1) return;
+        
+        const page = Math.floor(index / this.tableState.pageSize);
+        if (page !== this.tableState.page) {
+            this.tableState.page = page;
+            this.renderAttributeTable();
+        }
         
-        document.body.appendChild(cbButton);
+        const body = document.getElementById('table-body');
+        const offset = (index - page * this.tableState.pageSize) * this.tableState.rowHeight;
+        body.scrollTop = Math.max(0, offset - body.clientHeight / 2);
+        this.renderTableRows();
     }
 
     updateMapColors() {
         console.log('Updating map colors to:', this.colorBy);
         
         if (this.parcelsLayer) {
-            // Get the account field from the first feature
-            const firstLayer = this.parcelsLayer.getLayers()[0];
-            if (firstLayer && firstLayer.feature) {
-                const accountField = Object.keys(firstLayer.feature.properties).find(field => 
-                    ['ACCOUNTNO', 'ACCOUNTNUM', 'ACCOUNT', 'ACCTNO', 'ACCT_NUM'].includes(field)
-                );
-                
-                console.log('Using account field:', accountField);
-                
-                // Update the style of all layers
-                this.parcelsLayer.setStyle((feature) => this.getParcelStyle(feature, accountField));
+            if (this.parcelsLayer.getLayers().length > 0) {
+                // Parcels in view change at once; the table and statistics
+                // (when open) follow once every parcel has its new style
+                this.restyleParcels(() => {
+                    this.refreshAttributeTable();
+                    this.renderStatsPanel();
+                });
+                this.refreshLegendCounts();
                 this.updateLegend();
+                this.scheduleUrlStateUpdate();
                 console.log('Map colors updated successfully');
             } else {
                 console.error('No features found in parcels layer');
@@ -663,40 +5188,101 @@ class GunnisonCountyMap {
         }
     }
 
+    restyleParcels(onComplete) {
+        // Parcels in (or near) the view are restyled now and the rest in batches,
+        // so a county-wide restyle doesn't freeze the page. A new call cancels
+        // the batches still pending from the previous one.
+        clearTimeout(this.restyleTimer);
+        this.restyleTimer = null;
+        
+        const bounds = this.map.getBounds().pad(0.25);
+        const offscreen = [];
+        this.parcelsLayer.eachLayer(layer => {
+            if (bounds.intersects(layer.getBounds())) this.applyParcelStyle(layer);
+            else offscreen.push(layer);
+        });
+        
+        let next = 0;
+        const runBatch = () => {
+            const end = Math.min(next + this.restyleBatchSize, offscreen.length);
+            for (; next < end; next++) this.applyParcelStyle(offscreen[next]);
+            if (next < offscreen.length) {
+                this.restyleTimer = setTimeout(runBatch, 0);
+            } else {
+                this.restyleTimer = null;
+                if (onComplete) onComplete();
+            }
+        };
+        runBatch();
+    }
+
+    applyParcelStyle(layer) {
+        layer.setStyle(layer === this.highlightedLayer ? this.highlightStyle : this.getLayerStyle(layer));
+    }
+
     updateLegend() {
         const legendContent = document.getElementById('legend-content');
         const scheme = this.colorSchemes[this.colorBy];
         
+        // Classification options only apply to numeric attributes without fixed eras
+        const numericConfig = this.numericConfig[this.colorBy];
+        const classificationGroup = document.getElementById('classification-group');
+        if (classificationGroup) {
+            classificationGroup.style.display = numericConfig && !numericConfig.eras && !numericConfig.diverging ? '' : 'none';
+        }
+        const changeYearsGroup = document.getElementById('change-years-group');
+        if (changeYearsGroup) {
+            changeYearsGroup.style.display = numericConfig && numericConfig.diverging ? '' : 'none';
+        }
+        
         let legendHTML = '';
         
-        if (this.colorBy === 'SumOfACTUALVALUE' || this.colorBy === 'TOTALACTUA') {
-            legendHTML = `
-                <div class="legend-item">
-                    <div class="legend-color" style="background-color: ${scheme['Low']}"></div>
-                    <div class="legend-label">Low (&lt; $200K)</div>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color" style="background-color: ${scheme['Medium']}"></div>
-                    <div class="legend-label">Medium ($200K-$400K)</div>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color" style="background-color: ${scheme['High']}"></div>
-                    <div class="legend-label">High ($400K-$800K)</div>
-                </div>
-                <div class="legend-item">
-                    <div class="legend-color" style="background-color: ${scheme['Very High']}"></div>
-                    <div class="legend-label">Very High (&gt; $800K)</div>
-                </div>
-            `;
+        if (numericConfig) {
+            const classes = this.valueClasses;
+            
+            if (!classes) {
+                legendHTML = '<div class="legend-item"><div class="legend-label">No value data</div></div>';
+            } else if (classes.method === 'continuous') {
+                const stops = this.valuePalette.join(', ');
+                legendHTML = `
+                    <div class="legend-ramp" style="background: linear-gradient(to right, ${stops})"></div>
+                    <div class="legend-ramp-labels">
+                        <span>&le; ${this.formatNumericValue(classes.min)}</span>
+                        <span>&ge; ${this.formatNumericValue(classes.max)}</span>
+                    </div>
+                `;
+            } else {
+                const showCounts = !!this.parcelsLayer;
+                classes.colors.forEach((color, index) => {
+                    const count = showCounts ? ` (${(this.legendCounts[index] || 0).toLocaleString()})` : '';
+                    legendHTML += `
+                        <div class="legend-item">
+                            <div class="legend-color" style="background-color: ${color}"></div>
+                            <div class="legend-label">${this.getValueClassLabel(index)}${count}</div>
+                        </div>
+                    `;
+                });
+            }
         } else {
-            Object.entries(scheme).forEach(([key, color]) => {
+            // Counts are only meaningful once the parcels have been styled
+            const showCounts = !!this.parcelsLayer;
+            const countLabel = (key) => showCounts ? ` (${(this.legendCounts[key] || 0).toLocaleString()})` : '';
+            
+            Object.entries(scheme || {}).forEach(([key, color]) => {
                 legendHTML += `
                     <div class="legend-item">
                         <div class="legend-color" style="background-color: ${color}"></div>
-                        <div class="legend-label">${key}</div>
+                        <div class="legend-label">${this.escapeHtml(key)}${countLabel(key)}</div>
                     </div>
                 `;
             });
+            
+            legendHTML += `
+                <div class="legend-item legend-uncategorized">
+                    <div class="legend-color" style="background-color: ${this.uncategorizedColor}"></div>
+                    <div class="legend-label">Uncategorized${countLabel('uncategorized')}</div>
+                </div>
+            `;
         }
         
         legendContent.innerHTML = legendHTML;
@@ -719,7 +5305,12 @@ const maxLeafletWait = 30; // 3 seconds max wait
 function waitForLeaflet() {
     if (typeof L !== 'undefined') {
         console.log('Leaflet loaded, initializing map...');
-        new GunnisonCountyMap();
+        try {
+            new GunnisonCountyMap();
+        } catch (error) {
+            console.error('Map setup failed:', error);
+            document.getElementById('loading').innerHTML = `<p>⚠️ ${error.message}</p>`;
+        }
     } else if (leafletWaitCount < maxLeafletWait) {
         leafletWaitCount++;
         setTimeout(waitForLeaflet, 100);
@@ -729,8 +5320,10 @@ function waitForLeaflet() {
     }
 }
 
-// Start waiting for Leaflet when page loads
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('DOM loaded, checking for Leaflet...');
-    waitForLeaflet();
-});
+// Start waiting for Leaflet when page loads (not inside data_worker.js)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        console.log('DOM loaded, checking for Leaflet...');
+        waitForLeaflet();
+    });
+}
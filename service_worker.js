@@ -0,0 +1,98 @@
+// Gunnison County Property Map - Service Worker
+// Keeps the app files and every OpenStreetMap tile already viewed in the
+// Cache API so the map opens without a connection. Parsed data files are
+// cached separately, in IndexedDB (see loadDataWithCache).
+//
+// App files are network-first, so a deploy shows up on the next online visit;
+// tiles are cache-first. Bump CACHE_VERSION when the file list changes.
+
+const CACHE_VERSION = 1;
+const STATIC_CACHE = `gunnison-map-static-v${CACHE_VERSION}`;
+const TILE_CACHE = 'gunnison-map-tiles';
+const MAX_TILES = 3000;
+let tilesSinceTrim = 0;
+
+const STATIC_FILES = [
+    './',
+    './index.html',
+    './style.css',
+    './datasets_config.js',
+    './script_fixed_colors.js',
+    './data_worker.js',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(STATIC_CACHE)
+            .then(cache => cache.addAll(STATIC_FILES.map(url => new Request(url, { mode: 'cors' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop static caches from older versions; tiles stay valid across versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('gunnison-map-static-') && name !== STATIC_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.hostname.endsWith('tile.openstreetmap.org')) {
+        event.respondWith(cacheFirstTile(request));
+    } else if (url.pathname.includes('/data/')) {
+        // Data files go straight to the network; their parsed form is in IndexedDB
+        return;
+    } else if (url.origin === self.location.origin || url.hostname === 'unpkg.com') {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(STATIC_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirstTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        // Listing the cache is slow, so only trim every hundred new tiles
+        tilesSinceTrim++;
+        if (tilesSinceTrim >= 100) {
+            tilesSinceTrim = 0;
+            trimTileCache(cache);
+        }
+    }
+    return response;
+}
+
+async function trimTileCache(cache) {
+    // Keys come back in insertion order, so the oldest tiles go first
+    const keys = await cache.keys();
+    const excess = keys.length - MAX_TILES;
+    if (excess > 0) {
+        await Promise.all(keys.slice(0, excess).map(key => cache.delete(key)));
+    }
+}